@@ -86,14 +86,8 @@ vec4 get_color(sampler2D color, vec2 uv, bool colorrange, sampler2D colormap){
 }
 
 flat in uint frag_instance_id;
-vec4 pack_int(uint id, uint index) {
-    vec4 unpack;
-    unpack.x = float((id & uint(0xff00)) >> 8) / 255.0;
-    unpack.y = float((id & uint(0x00ff)) >> 0) / 255.0;
-    unpack.z = float((index & uint(0xff00)) >> 8) / 255.0;
-    unpack.w = float((index & uint(0x00ff)) >> 0) / 255.0;
-    return unpack;
-}
+// Ids and depth (as uint bits) for picking, which get written into a second (integer) color attachment
+layout(location=1) out uvec4 fragment_id;
 
 void main() {
     vec4 real_color = get_color(uniform_color, frag_uv, get_colorrange(), colormap);
@@ -108,14 +102,27 @@ void main() {
     }
 
     if (picking) {
-        if (real_color.a > 0.1) {
-            fragment_color = pack_int(object_id, frag_instance_id);
+        // not writing `fragment_id` would write an undefined id, so we need to discard
+        if (real_color.a <= 0.1) {
+            discard;
         }
+        fragment_id = uvec4(object_id, frag_instance_id, floatBitsToUint(gl_FragCoord.z), 0);
         return;
     }
 
     if (real_color.a <= 0.0){
         discard;
     }
+#ifdef SINGLE_PASS_PICKING
+    // The id attachment doesn't get blended, so faint fragments would overwrite the ids of the plots behind them
+    if (real_color.a <= 0.1){
+        discard;
+    }
+#endif
+    // highlight set from JS, see `set_highlight`
+    if (highlight && frag_instance_id == highlight_index) {
+        shaded_color = mix(shaded_color, highlight_color.rgb, highlight_color.a);
+    }
     fragment_color = vec4(shaded_color, real_color.a);
+    fragment_id = uvec4(object_id, frag_instance_id, floatBitsToUint(gl_FragCoord.z), 0);
 }
@@ -22,14 +22,8 @@ vec3 blinnphong(vec3 N, vec3 V, vec3 L, vec3 color){
 }
 
 flat in uint frag_instance_id;
-vec4 pack_int(uint id, uint index) {
-    vec4 unpack;
-    unpack.x = float((id & uint(0xff00)) >> 8) / 255.0;
-    unpack.y = float((id & uint(0x00ff)) >> 0) / 255.0;
-    unpack.z = float((index & uint(0xff00)) >> 8) / 255.0;
-    unpack.w = float((index & uint(0x00ff)) >> 0) / 255.0;
-    return unpack;
-}
+// Ids and depth (as uint bits) for picking, which get written into a second (integer) color attachment
+layout(location=1) out uvec4 fragment_id;
 
 void main() {
     vec3 L, N, light1, light2, color;
@@ -45,14 +39,27 @@ void main() {
 
 
     if (picking) {
-        if (frag_color.a > 0.1) {
-            fragment_color = pack_int(object_id, frag_instance_id);
+        // not writing `fragment_id` would write an undefined id, so we need to discard
+        if (frag_color.a <= 0.1) {
+            discard;
         }
+        fragment_id = uvec4(object_id, frag_instance_id, floatBitsToUint(gl_FragCoord.z), 0);
         return;
     }
 
     if (frag_color.a <= 0.0){
         discard;
     }
+#ifdef SINGLE_PASS_PICKING
+    // The id attachment doesn't get blended, so faint fragments would overwrite the ids of the plots behind them
+    if (frag_color.a <= 0.1){
+        discard;
+    }
+#endif
+    // highlight set from JS, see `set_highlight`
+    if (highlight && frag_instance_id == highlight_index) {
+        color = mix(color, highlight_color.rgb, highlight_color.a);
+    }
     fragment_color = vec4(color, frag_color.a);
+    fragment_id = uvec4(object_id, frag_instance_id, floatBitsToUint(gl_FragCoord.z), 0);
 }
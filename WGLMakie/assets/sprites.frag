@@ -74,14 +74,8 @@ float scaled_distancefield(bool distancefield, vec2 uv){
 }
 
 flat in uint frag_instance_id;
-vec4 pack_int(uint id, uint index) {
-    vec4 unpack;
-    unpack.x = float((id & uint(0xff00)) >> 8) / 255.0;
-    unpack.y = float((id & uint(0x00ff)) >> 0) / 255.0;
-    unpack.z = float((index & uint(0xff00)) >> 8) / 255.0;
-    unpack.w = float((index & uint(0x00ff)) >> 0) / 255.0;
-    return unpack;
-}
+// Ids and depth (as uint bits) for picking, which get written into a second (integer) color attachment
+layout(location=1) out uvec4 fragment_id;
 
 void main() {
 
@@ -105,13 +99,26 @@ void main() {
     vec4 final_color = vec4(frag_color.xyz, 0);
     fill(image, frag_color, frag_uv, inside, final_color);
     if (picking) {
-        if (final_color.a > 0.1) {
-            fragment_color = pack_int(object_id, frag_instance_id);
+        // not writing `fragment_id` would write an undefined id, so we need to discard
+        if (final_color.a <= 0.1) {
+            discard;
         }
+        fragment_id = uvec4(object_id, frag_instance_id, floatBitsToUint(gl_FragCoord.z), 0);
         return;
     }
     if (final_color.a <= 0.0){
         discard;
     }
+#ifdef SINGLE_PASS_PICKING
+    // The id attachment doesn't get blended, so faint fragments would overwrite the ids of the plots behind them
+    if (final_color.a <= 0.1){
+        discard;
+    }
+#endif
+    // highlight set from JS, see `set_highlight`
+    if (highlight && frag_instance_id == highlight_index) {
+        final_color.rgb = mix(final_color.rgb, highlight_color.rgb, highlight_color.a);
+    }
     fragment_color = final_color;
+    fragment_id = uvec4(object_id, frag_instance_id, floatBitsToUint(gl_FragCoord.z), 0);
 }
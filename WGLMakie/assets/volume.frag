@@ -208,14 +208,8 @@ float min_bigger_0(vec3 v1, vec3 v2){
     return min(x, min(y, z));
 }
 
-vec4 pack_int(uint id, uint index) {
-    vec4 unpack;
-    unpack.x = float((id & uint(0xff00)) >> 8) / 255.0;
-    unpack.y = float((id & uint(0x00ff)) >> 0) / 255.0;
-    unpack.z = float((index & uint(0xff00)) >> 8) / 255.0;
-    unpack.w = float((index & uint(0x00ff)) >> 0) / 255.0;
-    return unpack;
-}
+// Ids and depth (as uint bits) for picking, which get written into a second (integer) color attachment
+layout(location=1) out uvec4 fragment_id;
 
 void main()
 {
@@ -249,14 +243,27 @@ void main()
         color = contours(start, step_in_dir);
 
     if (picking) {
-        if (color.a > 0.1) {
-            fragment_color = pack_int(object_id, uint(0));
+        // not writing `fragment_id` would write an undefined id, so we need to discard
+        if (color.a <= 0.1) {
+            discard;
         }
+        fragment_id = uvec4(object_id, uint(0), floatBitsToUint(gl_FragCoord.z), 0);
         return;
     }
     if (color.a <= 0.0){
         discard;
     }
+#ifdef SINGLE_PASS_PICKING
+    // The id attachment doesn't get blended, so faint fragments would overwrite the ids of the plots behind them
+    if (color.a <= 0.1){
+        discard;
+    }
+#endif
+    // highlight set from JS, see `set_highlight`
+    if (highlight && highlight_index == uint(0)) {
+        color.rgb = mix(color.rgb, highlight_color.rgb, highlight_color.a);
+    }
     fragment_color = color;
+    fragment_id = uvec4(object_id, uint(0), floatBitsToUint(gl_FragCoord.z), 0);
 
 }
@@ -1,12 +1,11 @@
 import * as THREE from "https://cdn.esm.sh/v66/three@0.157/es2021/three.js";
-
-const pixelRatio = window.devicePixelRatio || 1.0;
+import { wheel_delta_pixels } from "./Events.mjs";
 
 export function event2scene_pixel(scene, event) {
-    const { canvas } = scene.screen;
+    const { canvas, pixel_ratio } = scene.screen;
     const rect = canvas.getBoundingClientRect();
-    const x = (event.clientX - rect.left) * pixelRatio;
-    const y = (rect.height - (event.clientY - rect.top)) * pixelRatio;
+    const x = (event.clientX - rect.left) * pixel_ratio;
+    const y = (rect.height - (event.clientY - rect.top)) * pixel_ratio;
     return [x, y];
 }
 
@@ -26,6 +25,33 @@ export function to_world(scene, x, y) {
     );
 }
 
+/**
+ * Unprojects the pixel `[x, y]` of the canvas with the window space depth `depth` (as in `gl_FragCoord.z`)
+ * into the data space of `plot`, so this also undoes the model matrix of the plot.
+ */
+export function unproject(plot, x, y, depth) {
+    // plots get added directly to their scene
+    const [_x, _y, w, h] = plot.parent.pixelarea.value;
+    const { projectionview, model } = plot.material.uniforms;
+    const inverse = new THREE.Matrix4().copy(projectionview.value);
+    if (model) {
+        inverse.multiply(model.value);
+    }
+    inverse.invert();
+    const clip_space = new THREE.Vector4(
+        ((x - _x) / w) * 2 - 1,
+        ((y - _y) / h) * 2 - 1,
+        depth * 2 - 1,
+        1.0
+    );
+    clip_space.applyMatrix4(inverse);
+    return new THREE.Vector3(
+        clip_space.x / clip_space.w,
+        clip_space.y / clip_space.w,
+        clip_space.z / clip_space.w
+    );
+}
+
 // make it a bit clearer what the THREE API produces!
 function Identity4x4() {
     return new THREE.Matrix4();
@@ -37,129 +63,668 @@ function in_scene(scene, mouse_event) {
     return x >= sx && x < sx + sw && y >= sy && y < sy + sh;
 }
 
-// Taken from https://andreasrohner.at/posts/Web%20Development/JavaScript/Simple-orbital-camera-controls-for-THREE-js/
+function clamp(x, min, max) {
+    return Math.min(Math.max(x, min), max);
+}
+
+// Keys that keep working additionally to the keys configured in Julia
+const CAMERA3D_KEY_ALIASES = {
+    pan_left_key: ["ArrowLeft"],
+    pan_right_key: ["ArrowRight"],
+    tilt_up_key: ["ArrowUp"],
+    tilt_down_key: ["ArrowDown"],
+    zoom_in_key: ["Equal", "NumpadAdd"],
+    zoom_out_key: ["Minus", "NumpadSubtract"],
+};
+
+/**
+ * The JS version of Makie's `Camera3D` (src/camera/camera3d.jl), moving the camera without a round trip to Julia.
+ * `cam3d.settings` contains the controls and speeds of the Julia camera, see `serialize_camera_settings`,
+ * and gets updated when they change in Julia.
+ * The view gets synchronized with Julia through `cam3d.view` and `cam3d.browser_view`, see `connect_camera_view!`.
+ */
 export function attach_3d_camera(canvas, makie_camera, cam3d, scene) {
     if (cam3d === undefined) {
         // we just support 3d cameras atm
-        return;
+        return () => {};
+    }
+    let settings = cam3d.settings.value;
+    let keys = settings.keys;
+    cam3d.settings.on((new_settings) => {
+        settings = new_settings;
+        keys = settings.keys;
+    });
+    const eyeposition = new THREE.Vector3(...cam3d.eyeposition);
+    const lookat = new THREE.Vector3(...cam3d.lookat);
+    const upvector = new THREE.Vector3(...cam3d.upvector);
+    let zoom_mult = cam3d.zoom_mult;
+    // the clipping planes and the field of view without zoom, which only change in Julia
+    let near = cam3d.near;
+    let far = cam3d.far;
+    let fov = settings.fov;
+    const initial = [eyeposition.clone(), lookat.clone(), upvector.clone(), zoom_mult];
+
+    function is_orthographic() {
+        return cam3d.projectiontype.value === "Orthographic";
     }
-    const [w, h] = makie_camera.resolution.value;
-    const camera = new THREE.PerspectiveCamera(
-        cam3d.fov,
-        w / h,
-        cam3d.near,
-        cam3d.far
-    );
 
-    const center = new THREE.Vector3(...cam3d.lookat);
-    camera.up = new THREE.Vector3(...cam3d.upvector);
-    camera.position.set(...cam3d.eyeposition);
-    camera.lookAt(center);
-    function update() {
-        const view = camera.matrixWorldInverse;
-        const projection = camera.projectionMatrix;
+    // half the width and height of the visible area of an orthographic projection, like `update_cam!` in Julia
+    function orthographic_size() {
         const [width, height] = cam3d.resolution.value;
-        const [x, y, z] = camera.position;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        camera.updateWorldMatrix();
+        const aspect = width / height;
+        return [
+            0.5 * (1 + aspect) * zoom_mult,
+            0.5 * (1 + 1 / aspect) * zoom_mult,
+        ];
+    }
 
+    function update() {
+        const [width, height] = cam3d.resolution.value;
+        const projection = new THREE.Matrix4();
+        if (is_orthographic()) {
+            const [w, h] = orthographic_size();
+            projection.makeOrthographic(-w, w, h, -h, near, far);
+        } else {
+            const zoomed_fov = clamp(zoom_mult * fov, 0.01, 175);
+            const top = near * Math.tan((zoomed_fov * Math.PI) / 360);
+            const right = (top * width) / height;
+            projection.makePerspective(
+                -right,
+                right,
+                top,
+                -top,
+                near,
+                far
+            );
+        }
+        const view = new THREE.Matrix4()
+            .lookAt(eyeposition, lookat, upvector)
+            .setPosition(eyeposition)
+            .invert();
         makie_camera.update_matrices(
             view.elements,
             projection.elements,
             [width, height],
-            [x, y, z]
-            );
+            eyeposition.toArray()
+        );
     }
     cam3d.resolution.on(update);
+    // switching between perspective and orthographic projection in Julia
+    cam3d.projectiontype.on(update);
+
+    // the camera got moved in Julia, e.g. with `update_cam!`
+    cam3d.view.on(([eye, center, up, mult, near_plane, far_plane, base_fov]) => {
+        eyeposition.fromArray(eye);
+        lookat.fromArray(center);
+        upvector.fromArray(up);
+        zoom_mult = mult;
+        near = near_plane;
+        far = far_plane;
+        fov = base_fov;
+        update();
+    });
+
+    // Send the view to Julia once the user stopped moving the camera, so that e.g. `save` shows the same view
+    let sync_timeout = undefined;
+    function changed() {
+        update();
+        clearTimeout(sync_timeout);
+        sync_timeout = setTimeout(() => {
+            const view = [eyeposition, lookat, upvector].map((v) => v.toArray());
+            cam3d.browser_view.notify([...view, zoom_mult]);
+        }, 200);
+    }
+
+    // `event.code` of all keys that are currently pressed
+    const pressed = new Set();
+
+    function is_camera_key(code) {
+        return Object.keys(keys).some((name) => {
+            if (!name.endsWith("_key") || name.startsWith("fix_")) {
+                return false;
+            }
+            return [keys[name], ...(CAMERA3D_KEY_ALIASES[name] || [])].includes(code);
+        });
+    }
+
+    function ispressed(name) {
+        const codes = [keys[name], ...(CAMERA3D_KEY_ALIASES[name] || [])];
+        return codes.some((code) => code && pressed.has(code));
+    }
+
+    // camera space: x expands right, y expands up and z expands towards the screen
+    function camera_axes() {
+        const u_z = eyeposition.clone().sub(lookat).normalize();
+        const u_x = upvector.clone().normalize().cross(u_z).normalize();
+        const u_y = u_z.clone().cross(u_x).normalize();
+        return [u_x, u_y, u_z];
+    }
+
+    function fixed_axes() {
+        return ["fix_x_key", "fix_y_key", "fix_z_key"].map(ispressed);
+    }
+
+    // Events the camera handles don't get sent to Julia, where `Camera3D` would move as well.
+    // The listeners of `threejs_module` are on the canvas too, but ours run first, see `addPointerHandler`.
+    function consume(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    // translates the camera by `[x, y, z]` in camera space
+    function translate([x, y, z]) {
+        const [u_x, u_y, u_z] = camera_axes();
+        const translation = u_x
+            .multiplyScalar(x)
+            .add(u_y.multiplyScalar(y))
+            .add(u_z.multiplyScalar(z));
+        // apply world space restrictions
+        const [fix_x, fix_y, fix_z] = fixed_axes();
+        if (fix_x || fix_y || fix_z) {
+            translation.multiply(new THREE.Vector3(+fix_x, +fix_y, +fix_z));
+        }
+        eyeposition.add(translation);
+        lookat.add(translation);
+    }
+
+    function qrotation(axis, angle) {
+        return new THREE.Quaternion().setFromAxisAngle(
+            axis.clone().normalize(),
+            angle
+        );
+    }
+
+    // rotates the camera around its x/y/z axes, `mouse_position` (relative to the scene) is only given for mouse rotations
+    function rotate(angles, mouse_position = undefined) {
+        const viewdir = lookat.clone().sub(eyeposition);
+        const right = viewdir.clone().cross(upvector);
+        const x_axis = right;
+        const y_axis = settings.fixed_axis
+            ? new THREE.Vector3(0, 0, upvector.z < 0 ? -1 : 1)
+            : upvector;
+        const z_axis = viewdir.clone().negate();
+
+        const [fix_x, fix_y, fix_z] = fixed_axes();
+        const [cx, cy, cz] = settings.circular_rotation;
+        const rotation = new THREE.Quaternion();
+        function rotate_all() {
+            rotation
+                .multiply(qrotation(y_axis, angles[1]))
+                .multiply(qrotation(x_axis, angles[0]))
+                .multiply(qrotation(z_axis, angles[2]));
+        }
+        if (!(fix_x ^ fix_y ^ fix_z)) {
+            // if there are more or less than one restriction apply all rotations
+            rotate_all();
+        } else if (
+            mouse_position &&
+            ((fix_x && cx) || (fix_y && cy) || (fix_z && cz))
+        ) {
+            // recontextualize the (dy, dx, 0) from mouse rotations so that
+            // drawing circles creates continuous rotations around the fixed axis
+            const [w, h] = cam3d.resolution.value;
+            const [mx, my] = mouse_position;
+            const flip = [0.5 * w > mx ? 1 : -1, 0.5 * h > my ? 1 : -1];
+            const angle = flip[0] * angles[0] + flip[1] * angles[1];
+            const axis = new THREE.Vector3(
+                fix_x * Math.sign(right.x),
+                fix_z * viewdir.y,
+                fix_y * Math.sign(upvector.z)
+            );
+            // only one fix is true so this only rotates around one axis
+            rotation.multiply(qrotation(axis, fix_y ? angle : -angle));
+        } else {
+            // restrict total quaternion rotation to one axis
+            rotate_all();
+            rotation
+                .set(
+                    rotation.x * fix_x,
+                    rotation.y * fix_y,
+                    rotation.z * fix_z,
+                    rotation.w
+                )
+                .normalize();
+        }
+
+        upvector.applyQuaternion(rotation);
+        viewdir.applyQuaternion(rotation);
+        if (settings.rotation_center === "lookat") {
+            eyeposition.copy(lookat).sub(viewdir);
+        } else {
+            lookat.copy(eyeposition).add(viewdir);
+        }
+    }
+
+    // zooms by changing the field of view, `mouse_position` (relative to the scene) is only given for mouse zooms
+    function zoom(zoom_step, mouse_position = undefined) {
+        const [w, h] = cam3d.resolution.value;
+        const viewdir = lookat.clone().sub(eyeposition);
+        const distance = viewdir.length();
+        if (mouse_position && settings.cad) {
+            // move eyeposition if mouse is not over the center
+            const [rx, ry] = [(2 * mouse_position[0]) / w - 1, (2 * mouse_position[1]) / h - 1];
+            const right = viewdir.clone().cross(upvector).normalize();
+            const shift = right.multiplyScalar(rx).addScaledVector(upvector.clone().normalize(), ry);
+            const shifted = eyeposition
+                .clone()
+                .addScaledVector(shift, 0.1 * Math.sign(1 - zoom_step) * distance);
+            eyeposition.copy(lookat).addScaledVector(shifted.sub(lookat).normalize(), distance);
+        } else if (mouse_position && settings.zoom_shift_lookat && is_orthographic()) {
+            // keep the data under the mouse in place
+            const [u_x, u_y] = camera_axes();
+            const [ow, oh] = orthographic_size();
+            const [rx, ry] = [(2 * mouse_position[0]) / w - 1, (2 * mouse_position[1]) / h - 1];
+            const shift = u_x.multiplyScalar(rx * ow).add(u_y.multiplyScalar(ry * oh));
+            shift.multiplyScalar(1 - zoom_step);
+            lookat.add(shift);
+            eyeposition.add(shift);
+        } else if (mouse_position && settings.zoom_shift_lookat) {
+            // translate both eyeposition and lookat to more or less keep data under the mouse in view
+            const [u_x, u_y] = camera_axes();
+            const before = Math.tan((clamp(zoom_mult * fov, 0.01, 175) / 360) * Math.PI);
+            const after = Math.tan((clamp(zoom_mult * zoom_step * fov, 0.01, 175) / 360) * Math.PI);
+            const [rx, ry] = [(2 * mouse_position[0]) / w - 1, (2 * mouse_position[1]) / h - 1];
+            const shift = u_x.multiplyScalar(rx).add(u_y.multiplyScalar(ry)).normalize();
+            shift.multiplyScalar(-(after - before) * distance);
+            lookat.add(shift);
+            eyeposition.add(shift);
+        }
+        zoom_mult *= zoom_step;
+    }
+
+    function reset() {
+        const [eye, center, up, mult] = initial;
+        eyeposition.copy(eye);
+        lookat.copy(center);
+        upvector.copy(up);
+        zoom_mult = mult;
+    }
+
+    // Like the `pulser` of `Camera3D`: while camera keys are pressed, move the camera once per frame
+    let last_pulse = undefined;
+    function on_pulse(time) {
+        const timestep = Math.max(time - last_pulse, 0) / 1000;
+        last_pulse = time;
+
+        const key = (name) => +ispressed(name);
+        const translation = [
+            key("right_key") - key("left_key"),
+            key("up_key") - key("down_key"),
+            key("backward_key") - key("forward_key"),
+        ];
+        const translating = translation.some((x) => x !== 0);
+        if (translating) {
+            const scale =
+                settings.keyboard_translationspeed * timestep * zoom_mult * eyeposition.distanceTo(lookat);
+            translate(translation.map((x) => x * scale));
+        }
+
+        const angles = [
+            key("tilt_up_key") - key("tilt_down_key"),
+            key("pan_left_key") - key("pan_right_key"),
+            key("roll_counterclockwise_key") - key("roll_clockwise_key"),
+        ];
+        const rotating = angles.some((x) => x !== 0);
+        if (rotating) {
+            const scale = settings.keyboard_rotationspeed * timestep;
+            rotate(angles.map((x) => x * scale));
+        }
+
+        const step = 1 + settings.keyboard_zoomspeed * timestep;
+        const zoom_direction = key("zoom_out_key") - key("zoom_in_key");
+        if (zoom_direction !== 0) {
+            zoom(Math.pow(step, zoom_direction));
+        }
+        const stretch = key("stretch_view_key") - key("contract_view_key");
+        if (stretch !== 0) {
+            const offset = eyeposition.clone().sub(lookat);
+            eyeposition.copy(lookat).addScaledVector(offset, Math.pow(step, stretch));
+        }
+
+        if (translating || rotating || zoom_direction !== 0 || stretch !== 0) {
+            changed();
+            window.requestAnimationFrame(on_pulse);
+        } else {
+            last_pulse = undefined;
+        }
+    }
+
+    function start_pulse() {
+        if (last_pulse === undefined) {
+            last_pulse = performance.now();
+            window.requestAnimationFrame(on_pulse);
+        }
+    }
+
+    // the mouse position relative to the scene in device pixels, with y going up like in Julia
+    function mouse_position(event) {
+        const [x, y] = event2scene_pixel(scene, event);
+        const [sx, sy] = scene.pixelarea.value;
+        return [x - sx, y - sy];
+    }
+
+    // All pointers that are currently pressed, with their last position in client coordinates
+    // and what dragging them does ("rotate" or "translate")
+    const pointers = new Map();
+
+    function two_pointers() {
+        const [[x1, y1], [x2, y2]] = [...pointers.values()];
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        return [(x1 + x2) / 2, (y1 + y2) / 2, distance];
+    }
 
-    function addMouseHandler(domObject, drag, zoomIn, zoomOut) {
-        let startDragX = null;
-        let startDragY = null;
+    // `deltaX, deltaY` are in client pixels, with y going down
+    function drag_rotate(deltaX, deltaY, event) {
+        const pixelRatio = scene.screen.pixel_ratio;
+        // Makie scales mouse rotations with `window_dpi * 0.005`, which is 0.5 for the default dpi
+        const scale = pixelRatio * 0.01 * settings.mouse_rotationspeed * 0.5;
+        rotate([-deltaY * scale, -deltaX * scale, 0], mouse_position(event));
+    }
+
+    function drag_translate(deltaX, deltaY) {
+        const pixelRatio = scene.screen.pixel_ratio;
+        const speed = settings.mouse_translationspeed;
+        if (is_orthographic()) {
+            // moves the scene with the mouse
+            const [w, h] = cam3d.resolution.value;
+            const [ow, oh] = orthographic_size();
+            const scale_x = (2 * ow * pixelRatio * speed) / w;
+            const scale_y = (2 * oh * pixelRatio * speed) / h;
+            translate([-deltaX * scale_x, deltaY * scale_y, 0]);
+        } else {
+            const distance = eyeposition.distanceTo(lookat);
+            const scale = pixelRatio * 0.002 * zoom_mult * distance * speed;
+            translate([-deltaX * scale, deltaY * scale, 0]);
+        }
+    }
+
+    function addPointerHandler(domObject) {
+        // we handle touch gestures ourselves, instead of letting the browser scroll or zoom the page
+        domObject.style.touchAction = "none";
         function mouseWheelHandler(e) {
-            e = window.event || e;
             if (!in_scene(scene, e)) {
                 return;
             }
-            const delta = Math.sign(e.deltaY);
-            if (delta == -1) {
-                zoomOut();
-            } else if (delta == 1) {
-                zoomIn();
+            if (keys.scroll_mod && !pressed.has(keys.scroll_mod)) {
+                return;
             }
-
-            e.preventDefault();
+            // Julia gets the scroll in steps of 100 pixels, see `PIXELS_PER_SCROLL_STEP`
+            const [, deltaY] = wheel_delta_pixels(e);
+            const zoom_step = Math.pow(1 + 0.1 * settings.mouse_zoomspeed, deltaY / 100);
+            zoom(zoom_step, mouse_position(e));
+            changed();
+            consume(e);
         }
-        function mouseDownHandler(e) {
+        // Pressing and releasing buttons still gets sent to Julia (e.g. for clicks), only the moves in between don't
+        function pointerDownHandler(e) {
             if (!in_scene(scene, e)) {
                 return;
             }
-            startDragX = e.clientX;
-            startDragY = e.clientY;
-
-            e.preventDefault();
+            // dragging with shift or alt selects, see `register_selection`
+            if (e.shiftKey || e.altKey) {
+                return;
+            }
+            let mode = "rotate";
+            if (e.pointerType === "mouse") {
+                if (e.button === settings.rotation_button) {
+                    mode = "rotate";
+                } else if (e.button === settings.translation_button || e.button === 1) {
+                    // the middle mouse button always pans
+                    mode = "translate";
+                } else {
+                    return;
+                }
+            }
+            // keeps sending us the events of this pointer, also outside of the canvas
+            domObject.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, [e.clientX, e.clientY, mode]);
         }
-        function mouseMoveHandler(e) {
-            if (!in_scene(scene, e)) {
+        function drag(e) {
+            const [x, y, mode] = pointers.get(e.pointerId);
+            if (pointers.size == 1) {
+                // one finger or the mouse rotates or translates, depending on the button
+                if (mode === "rotate") {
+                    drag_rotate(e.clientX - x, e.clientY - y, e);
+                } else {
+                    drag_translate(e.clientX - x, e.clientY - y);
+                }
+                pointers.set(e.pointerId, [e.clientX, e.clientY, mode]);
+            } else if (pointers.size == 2) {
+                // two fingers translate, and zoom when pinching
+                const [x0, y0, distance0] = two_pointers();
+                pointers.set(e.pointerId, [e.clientX, e.clientY, mode]);
+                const [x1, y1, distance1] = two_pointers();
+                drag_translate(x1 - x0, y1 - y0);
+                if (distance1 > 0) {
+                    zoom(distance0 / distance1);
+                }
+            }
+            changed();
+        }
+        function pointerMoveHandler(e) {
+            if (!pointers.has(e.pointerId)) {
                 return;
             }
-            if (startDragX === null || startDragY === null) return;
-
-            if (drag) drag(e.clientX - startDragX, e.clientY - startDragY);
-
-            startDragX = e.clientX;
-            startDragY = e.clientY;
-            e.preventDefault();
+            drag(e);
+            consume(e);
         }
-        function mouseUpHandler(e) {
-            if (!in_scene(scene, e)) {
+        function pointerUpHandler(e) {
+            if (!pointers.has(e.pointerId)) {
                 return;
             }
-            mouseMoveHandler.call(this, e);
-            startDragX = null;
-            startDragY = null;
-            e.preventDefault();
-        }
-        domObject.addEventListener("wheel", mouseWheelHandler);
-        domObject.addEventListener("mousedown", mouseDownHandler);
-        domObject.addEventListener("mousemove", mouseMoveHandler);
-        domObject.addEventListener("mouseup", mouseUpHandler);
-    }
-
-    function drag(deltaX, deltaY) {
-        const radPerPixel = Math.PI / 450;
-        const deltaPhi = radPerPixel * deltaX;
-        const deltaTheta = radPerPixel * deltaY;
-        const pos = camera.position.sub(center);
-        const radius = pos.length();
-        let theta = Math.acos(pos.z / radius);
-        let phi = Math.atan2(pos.y, pos.x);
-
-        // Subtract deltaTheta and deltaPhi
-        theta = Math.min(Math.max(theta - deltaTheta, 0), Math.PI);
-        phi -= deltaPhi;
-
-        // Turn back into Cartesian coordinates
-        pos.x = radius * Math.sin(theta) * Math.cos(phi);
-        pos.y = radius * Math.sin(theta) * Math.sin(phi);
-        pos.z = radius * Math.cos(theta);
-
-        camera.position.add(center);
-        camera.lookAt(center);
-        update();
+            drag(e);
+            pointers.delete(e.pointerId);
+        }
+        // With multiple 3D scenes in one canvas, the keys only move the camera of the scene under the mouse
+        let pointer_in_scene = undefined;
+        function pointerHoverHandler(e) {
+            pointer_in_scene = in_scene(scene, e);
+        }
+        // keys moving the camera, which we don't send to Julia
+        const consumed_keys = new Set();
+        function keyDownHandler(e) {
+            pressed.add(e.code);
+            if (pointer_in_scene === false || !is_camera_key(e.code)) {
+                return;
+            }
+            start_pulse();
+            consumed_keys.add(e.code);
+            // also doesn't scroll the page
+            consume(e);
+        }
+        function keyUpHandler(e) {
+            pressed.delete(e.code);
+            if (consumed_keys.delete(e.code)) {
+                consume(e);
+            }
+            if (pointer_in_scene !== false && keys.reset && e.code === keys.reset) {
+                reset();
+                changed();
+            }
+        }
+        function blurHandler() {
+            // we don't get the key releases anymore
+            pressed.clear();
+            consumed_keys.clear();
+        }
+        // We listen in the capture phase, which runs before the listeners of `threejs_module` on the canvas,
+        // so that `consume` can keep the events from being sent to Julia
+        const listeners = [
+            ["wheel", mouseWheelHandler],
+            ["pointermove", pointerHoverHandler],
+            ["keydown", keyDownHandler],
+            ["keyup", keyUpHandler],
+            ["pointerdown", pointerDownHandler],
+            ["pointermove", pointerMoveHandler],
+            ["pointerup", pointerUpHandler],
+            ["pointercancel", pointerUpHandler],
+        ];
+        const options = { capture: true, passive: false };
+        listeners.forEach(([name, handler]) => domObject.addEventListener(name, handler, options));
+        domObject.addEventListener("blur", blurHandler);
+        return () => {
+            listeners.forEach(([name, handler]) => domObject.removeEventListener(name, handler, options));
+            domObject.removeEventListener("blur", blurHandler);
+            blurHandler();
+        };
     }
 
-    function zoomIn() {
-        camera.position.sub(center).multiplyScalar(0.9).add(center);
-        update();
+    const remove_listeners = addPointerHandler(canvas);
+    return () => {
+        clearTimeout(sync_timeout);
+        pointers.clear();
+        remove_listeners();
+    };
+}
+
+/**
+ * Pans (dragging with the left mouse button or one finger) and zooms (scrolling or pinching)
+ * the 2D camera of `scene` directly in the browser, by transforming its projection in clip space.
+ * Only pointers starting inside the pixelarea of the scene get handled, and these events don't get sent to Julia.
+ * `on_limits([xmin, ymin, xmax, ymax])` gets called with the visible data limits once the user stops interacting.
+ * Returns a function removing all event listeners.
+ */
+export function attach_2d_camera(scene, on_limits, zoomspeed = 0.1) {
+    const { canvas } = scene.screen;
+    const makie_camera = scene.wgl_camera;
+    const pointers = new Map();
+    let sync_timeout = undefined;
+
+    function visible_limits() {
+        const inverse = makie_camera.projectionview_inverse.value;
+        const lower = new THREE.Vector4(-1, -1, 0, 1).applyMatrix4(inverse);
+        const upper = new THREE.Vector4(1, 1, 0, 1).applyMatrix4(inverse);
+        const [x0, y0] = [lower.x / lower.w, lower.y / lower.w];
+        const [x1, y1] = [upper.x / upper.w, upper.y / upper.w];
+        // reversed axes flip the projection
+        return [
+            Math.min(x0, x1),
+            Math.min(y0, y1),
+            Math.max(x0, x1),
+            Math.max(y0, y1),
+        ];
     }
 
-    function zoomOut() {
-        camera.position.sub(center).multiplyScalar(1.1).add(center);
-        update();
+    function schedule_sync() {
+        clearTimeout(sync_timeout);
+        sync_timeout = setTimeout(() => {
+            if (pointers.size == 0) {
+                on_limits(visible_limits());
+            }
+        }, 200);
+    }
+
+    // the clip space position of a point given in client coordinates
+    function to_clip(clientX, clientY) {
+        const [x, y] = event2scene_pixel(scene, { clientX, clientY });
+        const [sx, sy, sw, sh] = scene.pixelarea.value;
+        return [((x - sx) / sw) * 2 - 1, ((y - sy) / sh) * 2 - 1];
     }
 
-    addMouseHandler(canvas, drag, zoomIn, zoomOut);
+    // scales clip space by `scale` around the client position [clientX, clientY], and then moves it by [dx, dy] client pixels
+    function transform(clientX, clientY, scale, dx, dy) {
+        const [cx, cy] = to_clip(clientX, clientY);
+        const [, , sw, sh] = scene.pixelarea.value;
+        const pixelRatio = scene.screen.pixel_ratio;
+        // client y goes down, clip space y goes up
+        const tx = (2 * dx * pixelRatio) / sw;
+        const ty = (-2 * dy * pixelRatio) / sh;
+        const clip_transform = new THREE.Matrix4().set(
+            scale, 0, 0, (1 - scale) * cx + tx,
+            0, scale, 0, (1 - scale) * cy + ty,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        );
+        makie_camera.projection.value.premultiply(clip_transform);
+        makie_camera.calculate_matrices();
+        schedule_sync();
+    }
+
+    function handle(event) {
+        event.preventDefault();
+        // the listeners in `threejs_module` are on the canvas, so they never see this event
+        event.stopPropagation();
+    }
+
+    function two_pointers() {
+        const [[x1, y1], [x2, y2]] = pointers.values();
+        const distance = Math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2);
+        return [(x1 + x2) / 2, (y1 + y2) / 2, distance];
+    }
+
+    function wheel(event) {
+        if (event.target !== canvas || !in_scene(scene, event)) {
+            return;
+        }
+        if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+        // scrolling up zooms in, keeping the data under the mouse in place
+        const direction = -Math.sign(event.deltaY);
+        const scale = Math.pow(1 - zoomspeed, -direction);
+        transform(event.clientX, event.clientY, scale, 0, 0);
+        handle(event);
+    }
+
+    function pointerdown(event) {
+        if (event.target !== canvas || !in_scene(scene, event)) {
+            return;
+        }
+        // modifiers are used by e.g. `register_selection`, other buttons are left to Julia
+        if (event.button !== 0 || event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+        canvas.focus({ preventScroll: true });
+        canvas.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, [event.clientX, event.clientY]);
+        handle(event);
+    }
+
+    function pointermove(event) {
+        const last = pointers.get(event.pointerId);
+        if (last === undefined) {
+            return;
+        }
+        if (pointers.size == 1) {
+            transform(event.clientX, event.clientY, 1, event.clientX - last[0], event.clientY - last[1]);
+            pointers.set(event.pointerId, [event.clientX, event.clientY]);
+        } else if (pointers.size == 2) {
+            const [x0, y0, distance0] = two_pointers();
+            pointers.set(event.pointerId, [event.clientX, event.clientY]);
+            const [x1, y1, distance1] = two_pointers();
+            const scale = distance0 > 0 ? distance1 / distance0 : 1;
+            transform(x0, y0, scale, x1 - x0, y1 - y0);
+        }
+        handle(event);
+    }
+
+    function pointerup(event) {
+        if (!pointers.has(event.pointerId)) {
+            return;
+        }
+        pointermove(event);
+        pointers.delete(event.pointerId);
+        schedule_sync();
+    }
+
+    // capture on window, to get the events before the canvas forwards them to Julia
+    const listeners = {
+        wheel,
+        pointerdown,
+        pointermove,
+        pointerup,
+        pointercancel: pointerup,
+    };
+    const options = { capture: true, passive: false };
+    Object.entries(listeners).forEach(([name, listener]) => {
+        window.addEventListener(name, listener, options);
+    });
+    return () => {
+        clearTimeout(sync_timeout);
+        Object.entries(listeners).forEach(([name, listener]) => {
+            window.removeEventListener(name, listener, options);
+        });
+    };
 }
 
 function mul(a, b) {
@@ -239,6 +804,13 @@ export class MakieCamera {
         // Lazy calculation, only if a plot type requests them
         // will be of the form: {[space, markerspace]: THREE.Uniform(...)}
         this.preprojections = {};
+
+        // callbacks that get called whenever the matrices change
+        this.listeners = [];
+    }
+
+    on_update(callback) {
+        this.listeners.push(callback);
     }
 
     calculate_matrices() {
@@ -262,6 +834,7 @@ export class MakieCamera {
             const [space, markerspace] = key.split(","); // jeez js, really just converting array keys to "elem,elem"?
             this.preprojections[key].value = this.calculate_preprojection_matrix(space, markerspace);
         });
+        this.listeners.forEach((callback) => callback());
     }
 
     update_matrices(view, projection, resolution, eyepos) {
@@ -0,0 +1,77 @@
+// Turning DOM input events into the messages we send to Julia, see `handle_event!` in events.jl.
+// Nothing in here depends on THREE, so it can be tested without a browser, see test/js.
+
+// Scroll distance in pixels, also if the browser reports it in lines or pages (`event.deltaMode`)
+export function wheel_delta_pixels(event) {
+    const line_height = 16;
+    const page_height = window.innerHeight;
+    const scale = [1, line_height, page_height][event.deltaMode] || 1;
+    return [event.deltaX * scale, event.deltaY * scale];
+}
+
+// State of the modifier keys, which gets sent with every input event,
+// so that Julia's keyboard state stays correct, even if a key got pressed outside of the canvas
+export function event_modifiers(event) {
+    return {
+        shift: event.shiftKey,
+        ctrl: event.ctrlKey,
+        alt: event.altKey,
+        meta: event.metaKey,
+    };
+}
+
+/**
+ * Returns `send_event(message)`, which queues input events and sends them to Julia once per animation frame,
+ * as one ordered message `{events: [...]}`, but at most `event_rate` times per second.
+ * Every event gets a `timestamp` in milliseconds, and consecutive mouse moves get merged into the last one.
+ * In hidden tabs, events get sent right away.
+ */
+export function create_event_queue(comm, event_rate) {
+    const interval = 1000 / event_rate;
+    let queue = [];
+    let last_flush = -Infinity;
+    let scheduled = false;
+
+    function send() {
+        const events = queue;
+        queue = [];
+        if (events.length > 0) {
+            comm.notify({ events });
+        }
+    }
+
+    function flush(timestamp) {
+        if (timestamp - last_flush < interval) {
+            window.requestAnimationFrame(flush);
+            return;
+        }
+        scheduled = false;
+        last_flush = timestamp;
+        send();
+    }
+
+    function schedule() {
+        if (document.hidden) {
+            // Hidden tabs don't run animation frames, also not the one we may have requested already,
+            // but we still want e.g. the blur event to arrive
+            send();
+            return;
+        }
+        if (scheduled) {
+            return;
+        }
+        scheduled = true;
+        window.requestAnimationFrame(flush);
+    }
+
+    return function send_event(message) {
+        const event = { ...message, timestamp: performance.now() };
+        const last = queue[queue.length - 1];
+        if (last && "mouseposition" in last && "mouseposition" in event) {
+            queue[queue.length - 1] = event;
+        } else {
+            queue.push(event);
+        }
+        schedule();
+    };
+}
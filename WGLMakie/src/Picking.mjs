@@ -0,0 +1,182 @@
+// Reading back and interpreting the ids rendered for picking.
+// Nothing in here depends on THREE, so it can be tested without a browser, see test/js.
+
+// The shaders write `[id, index, depth, 0]`, with the bits of the depth in the uint
+export function unpack_ids(ids, npixels) {
+    const depths = new Float32Array(ids.buffer);
+    const picked_plots_array = [];
+    for (let i = 0; i < npixels; i++) {
+        picked_plots_array.push([ids[i * 4], ids[i * 4 + 1], depths[i * 4 + 2]]);
+    }
+    return picked_plots_array;
+}
+
+// Reads the `[id, index, depth]` of each pixel from the integer attachment of `target`, see `create_id_target`
+export function read_ids(renderer, target, x, y, w, h) {
+    const gl = renderer.getContext();
+    const { __webglFramebuffer } = renderer.properties.get(target);
+    const ids = new Uint32Array(w * h * 4);
+    // nothing rendered yet
+    if (__webglFramebuffer) {
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, __webglFramebuffer);
+        gl.readBuffer(gl.COLOR_ATTACHMENT1);
+        gl.readPixels(x, y, w, h, gl.RGBA_INTEGER, gl.UNSIGNED_INT, ids);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    }
+    return unpack_ids(ids, w * h);
+}
+
+/**
+ * Like `read_ids`, but copies the ids into a pixel buffer object and only reads them back,
+ * once a fence tells us that the GPU is done with it. This way we never stall the main thread
+ * waiting for the GPU. Returns a Promise resolving to the `[id, index, depth]` of each pixel.
+ */
+export function read_ids_async(renderer, target, x, y, w, h) {
+    const gl = renderer.getContext();
+    const { __webglFramebuffer } = renderer.properties.get(target);
+    const ids = new Uint32Array(w * h * 4);
+    if (!__webglFramebuffer) {
+        return Promise.resolve(unpack_ids(ids, w * h));
+    }
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, ids.byteLength, gl.STREAM_READ);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, __webglFramebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    // with a pixel pack buffer bound, this only enqueues the copy
+    gl.readPixels(x, y, w, h, gl.RGBA_INTEGER, gl.UNSIGNED_INT, 0);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            gl.deleteSync(sync);
+            gl.deleteBuffer(buffer);
+        };
+        const poll = () => {
+            if (gl.isContextLost()) {
+                // all gl objects are gone already
+                reject(new Error("WebGL context lost while picking"));
+                return;
+            }
+            const status = gl.clientWaitSync(sync, 0, 0);
+            if (status === gl.TIMEOUT_EXPIRED) {
+                setTimeout(poll, 1);
+                return;
+            }
+            if (status === gl.WAIT_FAILED) {
+                cleanup();
+                reject(new Error("Waiting for the picking readback failed"));
+                return;
+            }
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+            gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, ids);
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+            cleanup();
+            resolve(unpack_ids(ids, w * h));
+        };
+        poll();
+    });
+}
+
+export function picking_result(picked_plots_array, id_to_plot, w, h) {
+    const picked_plots = {};
+    picked_plots_array.forEach(([id, index]) => {
+        picked_plots[id] = index;
+    });
+    // dict of plot_uuid => primitive_index (e.g. instance id or triangle index)
+    const plots = [];
+    id_to_plot.forEach((plot, id) => {
+        if (id in picked_plots) {
+            plots.push([plot, picked_plots[id]]);
+        }
+    });
+    const picked_plots_matrix = picked_plots_array.map(([id, index]) => {
+        const p = id_to_plot.get(id);
+        return [p ? p.plot_uuid : null, index];
+    });
+    const plot_matrix = { data: picked_plots_matrix, size: [w, h] };
+
+    return [plot_matrix, plots];
+}
+
+// The region `[x0, y0, w, h]` of all pixels within `range` around `xy`, clamped to the figure
+export function range_region(scene, xy, range) {
+    // in Julia's pixels, the drawing buffer of the canvas can have a different size
+    const [width, height] = scene.screen.size;
+    const [x, y] = xy;
+    if (!(0 <= x && x < width && 0 <= y && y < height)) {
+        return undefined;
+    }
+    const x0 = Math.max(0, Math.floor(x - range));
+    const y0 = Math.max(0, Math.floor(y - range));
+    const x1 = Math.min(width, Math.ceil(x + range));
+    const y1 = Math.min(height, Math.ceil(y + range));
+    return [x0, y0, x1 - x0, y1 - y0];
+}
+
+/**
+ * Returns a list of `[plot_uuid, index, distance, [x, y]]` for all picked pixels in `region`,
+ * with `distance` being the euclidean distance in pixels between `xy` and the picked pixel at `[x, y]`.
+ */
+export function hits_in_range(plot_data, region, xy, range) {
+    const [x0, y0, w, _] = region;
+    const [x, y] = xy;
+    const hits = [];
+    // pixels are ordered row by row, starting at the bottom left (like `readPixels`)
+    plot_data.data.forEach(([plot_uuid, index], i) => {
+        if (!plot_uuid) {
+            return;
+        }
+        const px = x0 + (i % w);
+        const py = y0 + Math.floor(i / w);
+        const distance = Math.hypot(px - x, py - y);
+        if (distance < range) {
+            hits.push([plot_uuid, index, distance, [px, py]]);
+        }
+    });
+    return hits;
+}
+
+export function closest_hit(hits) {
+    if (hits.length == 0) {
+        return [null, 0];
+    }
+    return hits.reduce((closest, hit) =>
+        hit[2] < closest[2] ? hit : closest
+    );
+}
+
+export function sorted_hits(hits) {
+    // only keep the closest hit per picked element
+    const closest = new Map();
+    hits.forEach((hit) => {
+        const [plot_uuid, index, distance] = hit;
+        const key = `${plot_uuid},${index}`;
+        const current = closest.get(key);
+        if (!current || distance < current[2]) {
+            closest.set(key, hit);
+        }
+    });
+    if (closest.size == 0) {
+        return null;
+    }
+    return [...closest.values()].sort((a, b) => a[2] - b[2]);
+}
+
+// Even-odd rule, for a polygon given as a list of `[x, y]`
+export function inside_polygon(polygon, x, y) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
@@ -7,6 +7,14 @@ const scene_cache = {};
 const plot_cache = {};
 const TEXTURE_ATLAS = [undefined];
 
+/**
+ * Marks the screen as dirty, so that the renderloop draws a new frame.
+ * With `render_on_demand`, nothing gets rendered without this!
+ */
+export function request_render(screen) {
+    screen.requires_update = true;
+}
+
 function add_scene(scene_id, three_scene) {
     scene_cache[scene_id] = three_scene;
 }
@@ -24,6 +32,7 @@ export function delete_scene(scene_id) {
         scene.remove(scene.children[0]);
     }
     delete scene_cache[scene_id];
+    request_render(scene.screen);
 }
 
 export function find_plots(plot_uuids) {
@@ -51,6 +60,7 @@ export function insert_plot(scene_id, plot_data) {
     plot_data.forEach((plot) => {
         add_plot(scene, plot);
     });
+    request_render(scene.screen);
 }
 
 export function delete_plots(scene_id, plot_uuids) {
@@ -61,6 +71,7 @@ export function delete_plots(scene_id, plot_uuids) {
         scene.remove(p);
         delete plot_cache[p];
     });
+    request_render(scene.screen);
 }
 
 function convert_texture(data) {
@@ -139,12 +150,12 @@ function deserialize_uniforms(data) {
     return result;
 }
 
-export function deserialize_plot(data) {
+export function deserialize_plot(data, screen) {
     let mesh;
     if ("instance_attributes" in data) {
-        mesh = create_instanced_mesh(data);
+        mesh = create_instanced_mesh(data, screen);
     } else {
-        mesh = create_mesh(data);
+        mesh = create_mesh(data, screen);
     }
     mesh.name = data.name;
     mesh.frustumCulled = false;
@@ -152,13 +163,15 @@ export function deserialize_plot(data) {
     mesh.plot_uuid = data.uuid;
     const update_visible = (v) => {
         mesh.visible = v;
+        request_render(screen);
         // don't return anything, since that will disable on_update callback
         return;
     };
     update_visible(data.visible.value);
     data.visible.on(update_visible);
-    connect_uniforms(mesh, data.uniform_updater);
-    connect_attributes(mesh, data.attribute_updater);
+    data.faces.on(() => request_render(screen));
+    connect_uniforms(mesh, data.uniform_updater, screen);
+    connect_attributes(mesh, data.attribute_updater, screen);
     return mesh;
 }
 
@@ -202,7 +215,10 @@ export function add_plot(scene, plot_data) {
             markerspace.value
         );
     }
-    const p = deserialize_plot(plot_data);
+    const p = deserialize_plot(plot_data, scene.screen);
+    // Unique per screen, so that we can find the plot for the ids written for single pass picking
+    scene.screen.last_object_id += 1;
+    p.material.uniforms.object_id.value = scene.screen.last_object_id;
     plot_cache[plot_data.uuid] = p;
     scene.add(p);
     // execute all next insert callbacks
@@ -210,7 +226,7 @@ export function add_plot(scene, plot_data) {
     next_insert.forEach((f) => f());
 }
 
-function connect_uniforms(mesh, updater) {
+function connect_uniforms(mesh, updater, screen) {
     updater.on(([name, data]) => {
         // this is the initial value, which shouldn't end up getting updated -
         // TODO, figure out why this gets pushed!!
@@ -236,6 +252,7 @@ function connect_uniforms(mesh, updater) {
                 uniform.value = data;
             }
         }
+        request_render(screen);
     });
 }
 
@@ -395,10 +412,12 @@ function recreate_instanced_geometry(mesh) {
     mesh.needsUpdate = true;
 }
 
-function create_material(program) {
+function create_material(program, screen) {
     const is_volume = "volumedata" in program.uniforms;
     return new THREE.RawShaderMaterial({
         uniforms: deserialize_uniforms(program.uniforms),
+        // the shaders discard fragments, which are too transparent to be picked, see `create_id_target`
+        defines: screen.id_target ? { SINGLE_PASS_PICKING: true } : {},
         vertexShader: program.vertex_source,
         fragmentShader: program.fragment_source,
         side: is_volume ? THREE.BackSide : THREE.DoubleSide,
@@ -409,11 +428,11 @@ function create_material(program) {
     });
 }
 
-function create_mesh(program) {
+function create_mesh(program, screen) {
     const buffer_geometry = new THREE.BufferGeometry();
     const faces = new THREE.BufferAttribute(program.faces.value, 1);
     attach_geometry(buffer_geometry, program.vertexarrays, faces);
-    const material = create_material(program);
+    const material = create_material(program, screen);
     const mesh = new THREE.Mesh(buffer_geometry, material);
     program.faces.on((x) => {
         mesh.geometry.setIndex(new THREE.BufferAttribute(x, 1));
@@ -421,12 +440,12 @@ function create_mesh(program) {
     return mesh;
 }
 
-function create_instanced_mesh(program) {
+function create_instanced_mesh(program, screen) {
     const buffer_geometry = new THREE.InstancedBufferGeometry();
     const faces = new THREE.BufferAttribute(program.faces.value, 1);
     attach_geometry(buffer_geometry, program.vertexarrays, faces);
     attach_instanced_geometry(buffer_geometry, program.instance_attributes);
-    const material = create_material(program);
+    const material = create_material(program, screen);
     const mesh = new THREE.Mesh(buffer_geometry, material);
     program.faces.on((x) => {
         mesh.geometry.setIndex(new THREE.BufferAttribute(x, 1));
@@ -438,7 +457,7 @@ function first(x) {
     return x[Object.keys(x)[0]];
 }
 
-function connect_attributes(mesh, updater) {
+function connect_attributes(mesh, updater, screen) {
     const instance_buffers = {};
     const geometry_buffers = {};
     let first_instance_buffer;
@@ -513,6 +532,7 @@ function connect_attributes(mesh, updater) {
                 }
             }
         }
+        request_render(screen);
     });
 }
 
@@ -528,7 +548,15 @@ export function deserialize_scene(data, screen) {
     scene.clearscene = data.clearscene;
     scene.visible = data.visible;
 
+    // anything that changes how the scene looks needs to trigger a new frame
+    const render_on_change = () => request_render(screen);
+    data.pixelarea.on(render_on_change);
+    data.backgroundcolor.on(render_on_change);
+    data.clearscene.on(render_on_change);
+    data.visible.on(render_on_change);
+
     const camera = new Camera.MakieCamera();
+    camera.on_update(render_on_change);
 
     scene.wgl_camera = camera;
 
@@ -540,7 +568,7 @@ export function deserialize_scene(data, screen) {
     update_cam(data.camera.value);
 
     if (data.cam3d_state) {
-        Camera.attach_3d_camera(canvas, camera, data.cam3d_state, scene);
+        scene.detach_camera = Camera.attach_3d_camera(canvas, camera, data.cam3d_state, scene);
     } else {
         data.camera.on(update_cam);
     }
@@ -565,10 +593,59 @@ export function delete_plot(plot) {
 
 export function delete_three_scene(scene) {
     delete scene_cache[scene.scene_uuid];
+    if (scene.detach_camera) {
+        scene.detach_camera();
+    }
     scene.scene_children.forEach(delete_three_scene);
     while(scene.children.length > 0) {
         delete_plot(scene.children[0])
     }
 }
 
+function has_data(plot) {
+    const buffers = Object.values(plot.geometry.attributes);
+    const textures = Object.values(plot.material.uniforms)
+        .map((uniform) => uniform.value)
+        .filter((value) => value && value.isTexture);
+    return (
+        buffers.every((buffer) => buffer.array) &&
+        textures.every((tex) => tex.image && tex.image.data)
+    );
+}
+
+/**
+ * After a lost WebGL context got restored, THREE re-uploads buffers, textures and programs
+ * from the data we keep around on the JS side, so we just need to flag everything for an update.
+ * Plots that can't be rebuilt from JS get removed, and their uuids get returned,
+ * so that Julia can send them again.
+ */
+export function restore_three_scene(scene) {
+    const missing_plots = [];
+    // copy, since delete_plot mutates scene.children
+    [...scene.children].forEach((plot) => {
+        if (has_data(plot)) {
+            const { geometry, material } = plot;
+            Object.values(geometry.attributes).forEach((buffer) => {
+                buffer.needsUpdate = true;
+            });
+            if (geometry.index) {
+                geometry.index.needsUpdate = true;
+            }
+            Object.values(material.uniforms).forEach(({ value }) => {
+                if (value && value.isTexture) {
+                    value.needsUpdate = true;
+                }
+            });
+            material.needsUpdate = true;
+        } else {
+            missing_plots.push(plot.plot_uuid);
+            delete_plot(plot);
+        }
+    });
+    scene.scene_children.forEach((child) => {
+        missing_plots.push(...restore_three_scene(child));
+    });
+    return missing_plots;
+}
+
 export { TEXTURE_ATLAS, scene_cache, plot_cache };
@@ -1,7 +1,8 @@
 // Taken from THREEJS documentation
 
 export function getWebGLErrorMessage() {
-    return getErrorMessage(1);
+    // all our shaders are GLSL 3.0, which needs WebGL 2.0
+    return getErrorMessage(2);
 }
 
 function getErrorMessage(version) {
@@ -43,10 +43,19 @@ const WEB_MIMES = (
 
 """
 * `framerate = 30`: Set framerate (frames per second) to a higher number for smoother animations, or to a lower to use less resources.
+* `resize_to_body = false`: If `true`, the figure gets resized to fill the browser window/body.
+* `render_on_demand = true`: If `true`, the scene will only be rendered if something has changed in it (a plot attribute, the camera or the canvas size). Set it to `false` to redraw continuously with `framerate`.
+* `shared_context = false`: If `true`, all figures on a page get rendered with one shared WebGL context and copied into their own canvas. Use this when showing many figures on one page, since browsers only allow a limited number of WebGL contexts (~16).
+* `single_pass_picking = false`: If `true`, plots write their ids into a second color buffer while rendering, so picking just reads the ids of the last frame instead of rendering the scene again. This renders without multisample antialiasing and leaves out fragments with an alpha of 0.1 or less, since they'd hide the ids of the plots behind them.
+* `event_rate = 30`: The maximal number of times per second, the browser sends the collected mouse and keyboard events to Julia.
 """
 struct ScreenConfig
     framerate::Float64 # =30.0
     resize_to_body::Bool # false
+    render_on_demand::Bool # true
+    shared_context::Bool # false
+    single_pass_picking::Bool # false
+    event_rate::Float64 # 30.0
 end
 
 """
@@ -208,9 +217,9 @@ end
 function session2image(session::Session, scene::Scene)
     to_data = js"""function (){
         return $(scene).then(scene => {
-            const {renderer} = scene.screen
-            WGL.render_scene(scene)
-            const img = renderer.domElement.toDataURL()
+            const {canvas} = scene.screen
+            WGL.render_frame(scene)
+            const img = canvas.toDataURL()
             return img
         })
     }()
@@ -234,7 +243,7 @@ function insert_scene!(disp, screen::Screen, scene::Scene)
     if js_uuid(scene) in screen.displayed_scenes
         return true
     else
-        scene_ser = serialize_scene(scene)
+        scene_ser = serialize_scene(disp.session, scene)
         parent = scene.parent
         parent_uuid = js_uuid(parent)
         insert_scene!(disp, screen, parent) # make sure parent is also already displayed
@@ -48,62 +48,181 @@ function code_to_keyboard(code::String)
     end
 end
 
-function connect_scene_events!(scene::Scene, comm::Observable)
-    e = events(scene)
-    on(comm) do msg
-        @async try
-            @handle msg.mouseposition begin
-                x, y = Float64.((mouseposition...,))
-                e.mouseposition[] = (x, size(scene)[2] - y)
-            end
-            @handle msg.mousedown begin
-                # This can probably be done better from the JS side?
-                state = e.mousebuttonstate
-                if mousedown & 1 != 0 && !(Mouse.left in state)
-                    setindex!(e.mousebutton, MouseButtonEvent(Mouse.left, Mouse.press))
-                end
-                if mousedown & 2 != 0 && !(Mouse.right in state)
-                    setindex!(e.mousebutton, MouseButtonEvent(Mouse.right, Mouse.press))
-                end
-                if mousedown & 4 != 0 && !(Mouse.middle in state)
-                    setindex!(e.mousebutton, MouseButtonEvent(Mouse.middle, Mouse.press))
-                end
+# Makie -> JS `event.code`, the inverse of `code_to_keyboard`
+function keyboard_to_code(button::Keyboard.Button)
+    name = string(button)
+    if length(name) == 1 && isletter(name[1])
+        return "Key" * uppercase(name)
+    elseif startswith(name, "_") && all(isdigit, name[2:end])
+        return "Digit" * name[2:end]
+    elseif name in ("up", "down", "left", "right")
+        return "Arrow" * uppercasefirst(name)
+    elseif button == Keyboard.grave_accent
+        return "Backquote"
+    elseif button == Keyboard._end
+        return "End"
+    elseif button == Keyboard.menu
+        return "ContextMenu"
+    end
+    parts = split(name, "_")
+    # e.g. left_shift -> ShiftLeft
+    if first(parts) in ("left", "right")
+        parts = [parts[2:end]; first(parts)]
+    end
+    return join(uppercasefirst.(parts))
+end
+
+# Chrome scrolls by 100 pixels per step of a mouse wheel
+const PIXELS_PER_SCROLL_STEP = 100.0
+
+# `event.button` in JS -> Makie
+const DOM_MOUSE_BUTTONS = (Mouse.left, Mouse.middle, Mouse.right, Mouse.button_4, Mouse.button_5)
+
+# `event.button` is -1 for cancelled pointers, which releases all buttons
+function dom_mouse_buttons(e::Events, button::Integer)
+    0 <= button < length(DOM_MOUSE_BUTTONS) && return [DOM_MOUSE_BUTTONS[button + 1]]
+    return button == -1 ? collect(e.mousebuttonstate) : Mouse.Button[]
+end
+
+const MODIFIER_KEYS = (
+    "shift" => (Keyboard.left_shift, Keyboard.right_shift),
+    "ctrl" => (Keyboard.left_control, Keyboard.right_control),
+    "alt" => (Keyboard.left_alt, Keyboard.right_alt),
+    "meta" => (Keyboard.left_super, Keyboard.right_super),
+)
+
+# Modifier keys can get pressed or released while the canvas doesn't have the focus,
+# so we use the modifier state sent with every event to keep `keyboardstate` correct
+function sync_modifiers!(e::Events, modifiers)
+    for (name, (left, right)) in MODIFIER_KEYS
+        pressed = get(modifiers, name, false)
+        state = e.keyboardstate
+        if pressed && !(left in state) && !(right in state)
+            e.keyboardbutton[] = KeyEvent(left, Keyboard.press)
+        elseif !pressed
+            for key in (left, right)
+                key in state && (e.keyboardbutton[] = KeyEvent(key, Keyboard.release))
             end
-            @handle msg.mouseup begin
-                state = e.mousebuttonstate
-                if mouseup & 1 == 0 && (Mouse.left in state)
-                    setindex!(e.mousebutton, MouseButtonEvent(Mouse.left, Mouse.release))
-                end
-                if mouseup & 2 == 0 && (Mouse.right in state)
-                    setindex!(e.mousebutton, MouseButtonEvent(Mouse.right, Mouse.release))
-                end
-                if mouseup & 4 == 0 && (Mouse.middle in state)
-                    setindex!(e.mousebutton, MouseButtonEvent(Mouse.middle, Mouse.release))
-                end
+        end
+    end
+    return
+end
+
+# Plots that couldn't be rebuilt in JS after a WebGL context loss need to be serialized again
+function reinsert_plots!(scene::Scene, plot_uuids)
+    isempty(plot_uuids) && return
+    screen = Makie.getscreen(scene, WGLMakie)
+    isnothing(screen) && return
+    lookup = plot_lookup(scene)
+    for uuid in plot_uuids
+        haskey(lookup, uuid) || continue
+        plot = lookup[uuid]
+        insert!(screen, Makie.parent_scene(plot), plot)
+    end
+    return
+end
+
+# Makie's mouse state machine only detects a double click, if the two releases are less than
+# this many seconds apart (see `dblclick_max_interval`), while browsers allow more time in between
+const MAKIE_DOUBLE_CLICK_INTERVAL = 0.2
+
+# Handles one message from the browser, see `threejs_module` in wglmakie.js.
+# `releases` holds the times of the last two releases per button, to tell if Makie has seen a double click.
+function handle_event!(scene::Scene, msg, releases = Dict{Mouse.Button, NTuple{2, Float64}}())
+    e = events(scene)
+    # key events of modifier keys update the state themselves
+    if haskey(msg, "modifiers") && !haskey(msg, "keydown") && !haskey(msg, "keyup")
+        sync_modifiers!(e, msg["modifiers"])
+    end
+    @handle msg.mouseposition begin
+        x, y = Float64.((mouseposition...,))
+        e.mouseposition[] = (x, size(scene)[2] - y)
+    end
+    @handle msg.mousedown begin
+        for button in dom_mouse_buttons(e, mousedown["button"])
+            if !(button in e.mousebuttonstate)
+                setindex!(e.mousebutton, MouseButtonEvent(button, Mouse.press))
             end
-            @handle msg.scroll begin
-                e.scroll[] = Float64.((sign.(scroll)...,))
+        end
+    end
+    @handle msg.mouseup begin
+        for button in dom_mouse_buttons(e, mouseup["button"])
+            if button in e.mousebuttonstate
+                setindex!(e.mousebutton, MouseButtonEvent(button, Mouse.release))
+                releases[button] = (last(get(releases, button, (0.0, 0.0))), time())
             end
-            @handle msg.keydown begin
-                button = code_to_keyboard(keydown)
-                # don't add unknown buttons...we can't work with them
-                # and they won't get removed
-                if button != Keyboard.unknown
-                    e.keyboardbutton[] = KeyEvent(button, Keyboard.press)
-                end
+        end
+    end
+    @handle msg.scroll begin
+        # JS sends pixels, while GLFW (and therefore Makie) scrolls by about one per wheel step
+        e.scroll[] = Float64.((scroll...,)) ./ PIXELS_PER_SCROLL_STEP
+    end
+    @handle msg.keydown begin
+        button = code_to_keyboard(keydown["code"])
+        # don't add unknown buttons...we can't work with them
+        # and they won't get removed
+        if button != Keyboard.unknown
+            action = keydown["repeat"] ? Keyboard.repeat : Keyboard.press
+            e.keyboardbutton[] = KeyEvent(button, action)
+        end
+        # `key` is the typed character for printable keys, and e.g. "Enter" otherwise
+        key = keydown["key"]
+        modifiers = get(msg, "modifiers", Dict{String, Any}())
+        if length(key) == 1 && !get(modifiers, "ctrl", false) && !get(modifiers, "meta", false)
+            e.unicode_input[] = first(key)
+        end
+    end
+    @handle msg.keyup begin
+        e.keyboardbutton[] = KeyEvent(code_to_keyboard(keyup["code"]), Keyboard.release)
+    end
+    @handle msg.dblclick begin
+        # the mouse position can lag behind, because mouse moves get merged
+        x, y = Float64.((dblclick["position"]...,))
+        e.mouseposition[] = (x, size(scene)[2] - y)
+        # Makie detects double clicks from the button events itself. If the browser's double click
+        # was too slow for that, we click once more, so that Makie sees a double click too.
+        for button in dom_mouse_buttons(e, dblclick["button"])
+            t_previous, t_last = get(releases, button, (0.0, 0.0))
+            if t_last - t_previous >= MAKIE_DOUBLE_CLICK_INTERVAL && !(button in e.mousebuttonstate)
+                setindex!(e.mousebutton, MouseButtonEvent(button, Mouse.press))
+                setindex!(e.mousebutton, MouseButtonEvent(button, Mouse.release))
+                releases[button] = (t_last, time())
             end
-            @handle msg.keyup begin
-                if keyup == "delete_keys"
-                    # this works fine
-                    for key in e.keyboardstate
-                        e.keyboardbutton[] = KeyEvent(key, Keyboard.release)
-                    end
-                else
-                    e.keyboardbutton[] = KeyEvent(code_to_keyboard(keyup), Keyboard.release)
-                end
+        end
+    end
+    @handle msg.entered_window begin
+        e.entered_window[] = entered_window
+    end
+    @handle msg.hasfocus begin
+        e.hasfocus[] = hasfocus
+        if !hasfocus
+            # we won't get the release events of keys released outside of the canvas
+            for key in collect(e.keyboardstate)
+                e.keyboardbutton[] = KeyEvent(key, Keyboard.release)
             end
-            @handle msg.resize begin
-                resize!(scene, tuple(resize...))
+        end
+    end
+    @handle msg.resize begin
+        resize!(scene, tuple(resize...))
+    end
+    @handle msg.context_lost begin
+        @warn "WebGL context lost. The figure will be restored, once the browser provides a new context."
+    end
+    @handle msg.context_restored begin
+        reinsert_plots!(scene, context_restored)
+    end
+    return
+end
+
+function connect_scene_events!(scene::Scene, comm::Observable)
+    releases = Dict{Mouse.Button, NTuple{2, Float64}}()
+    on(comm) do msg
+        @async try
+            # input events arrive in batches, in the order they happened in the browser
+            if haskey(msg, "events")
+                foreach(event -> handle_event!(scene, event, releases), msg["events"])
+            else
+                handle_event!(scene, msg, releases)
             end
         catch err
             @warn "Error in window event callback" exception=(err, Base.catch_backtrace())
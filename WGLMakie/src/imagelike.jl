@@ -79,7 +79,10 @@ function create_shader(mscene::Scene, plot::Volume)
         :eyeposition => Vec3f(1),
         :ambient => Vec3f(1),
         :picking => false,
-        :object_id => UInt32(0)
+        :object_id => UInt32(0),
+        :highlight => false,
+        :highlight_index => UInt32(0),
+        :highlight_color => RGBAf(0, 0, 0, 0)
     )
 
     handle_color!(plot, uniforms, nothing, :volumedata; permute_tex=false)
@@ -71,9 +71,12 @@ function create_shader(scene::Scene, plot::Union{Lines,LineSegments})
                      uv=Vec2f[(0, 0), (0, 0), (0, 0), (0, 0)])
     instance = GeometryBasics.Mesh(positions, GLTriangleFace[(1, 2, 3), (2, 4, 3)])
 
-    # id + picking gets filled in JS, needs to be here to emit the correct shader uniforms
+    # id + picking + highlight gets filled in JS, needs to be here to emit the correct shader uniforms
     uniforms[:picking] = false
     uniforms[:object_id] = UInt32(0)
+    uniforms[:highlight] = false
+    uniforms[:highlight_index] = UInt32(0)
+    uniforms[:highlight_color] = RGBAf(0, 0, 0, 0)
 
     return InstancedProgram(WebGL(), lasset("line_segments.vert"),
                             lasset("line_segments.frag"), instance,
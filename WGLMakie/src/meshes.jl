@@ -84,9 +84,12 @@ function draw_mesh(mscene::Scene, per_vertex, plot, uniforms; permute_tex=true)
         to_value(per_vertex[:color]) isa Bool && delete!(per_vertex, :color)
     end
 
-    # id + picking gets filled in JS, needs to be here to emit the correct shader uniforms
+    # id + picking + highlight gets filled in JS, needs to be here to emit the correct shader uniforms
     uniforms[:picking] = false
     uniforms[:object_id] = UInt32(0)
+    uniforms[:highlight] = false
+    uniforms[:highlight_index] = UInt32(0)
+    uniforms[:highlight_color] = RGBAf(0, 0, 0, 0)
     pos = pop!(per_vertex, :positions)
     faces = pop!(per_vertex, :faces)
     mesh = GeometryBasics.Mesh(meta(pos; per_vertex...), faces)
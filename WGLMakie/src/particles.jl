@@ -80,9 +80,12 @@ function create_shader(scene::Scene, plot::MeshScatter)
     get!(uniform_dict, :ambient, Vec3f(1))
 
 
-    # id + picking gets filled in JS, needs to be here to emit the correct shader uniforms
+    # id + picking + highlight gets filled in JS, needs to be here to emit the correct shader uniforms
     uniform_dict[:picking] = false
     uniform_dict[:object_id] = UInt32(0)
+    uniform_dict[:highlight] = false
+    uniform_dict[:highlight_index] = UInt32(0)
+    uniform_dict[:highlight_color] = RGBAf(0, 0, 0, 0)
     uniform_dict[:shading] = plot.shading
 
     return InstancedProgram(WebGL(), lasset("particles.vert"), lasset("particles.frag"),
@@ -191,9 +194,12 @@ function scatter_shader(scene::Scene, attributes, plot)
     # Don't send obs, since it's overwritten in JS to be updated by the camera
     uniform_dict[:resolution] = to_value(scene.camera.resolution)
 
-    # id + picking gets filled in JS, needs to be here to emit the correct shader uniforms
+    # id + picking + highlight gets filled in JS, needs to be here to emit the correct shader uniforms
     uniform_dict[:picking] = false
     uniform_dict[:object_id] = UInt32(0)
+    uniform_dict[:highlight] = false
+    uniform_dict[:highlight_index] = UInt32(0)
+    uniform_dict[:highlight_color] = RGBAf(0, 0, 0, 0)
     return InstancedProgram(WebGL(), lasset("sprites.vert"), lasset("sprites.frag"),
                             instance, VertexArray(; per_instance...), uniform_dict)
 end
@@ -1,11 +1,13 @@
 
+# The picking functions in JS return a Promise, which `evaljs_value` waits for,
+# so the readback of the picked pixels never blocks rendering in the browser
 function pick_native(screen::Screen, rect::Rect2i)
     (x, y) = minimum(rect)
     (w, h) = widths(rect)
     session = get_three(screen; error="Can't do picking!").session
     scene = screen.scene
     picking_data = JSServe.evaljs_value(session, js"""
-        Promise.all([$(WGL), $(scene)]).then(([WGL, scene]) => WGL.pick_native_matrix(scene, $x, $y, $w, $h))
+        Promise.all([$(WGL), $(scene)]).then(([WGL, scene]) => WGL.pick_native_matrix_async(scene, $x, $y, $w, $h))
     """)
     empty = Matrix{Tuple{Union{Nothing, AbstractPlot}, Int}}(undef, 0, 0)
     if isnothing(picking_data)
@@ -38,10 +40,12 @@ function Makie.pick_closest(scene::Scene, screen::Screen, xy, range::Integer)
     range = round(Int, range)
     session = get_three(screen; error="Can't do picking!").session
     selection = JSServe.evaljs_value(session, js"""
-        Promise.all([$(WGL), $(scene)]).then(([WGL, scene]) => WGL.pick_closest(scene, $(xy_vec), $(range)))
+        Promise.all([$(WGL), $(scene)]).then(([WGL, scene]) => WGL.pick_closest_async(scene, $(xy_vec), $(range)))
     """)
     lookup = plot_lookup(scene)
-    return (lookup[selection[1]], selection[2] + 1)
+    plot_id, index = selection
+    haskey(lookup, plot_id) || return (nothing, 0)
+    return (lookup[plot_id], index + 1)
 end
 
 # Skips some allocations
@@ -50,10 +54,11 @@ function Makie.pick_sorted(scene::Scene, screen::Screen, xy, range)
     range = round(Int, range)
     session = get_three(screen; error="Can't do picking!").session
     selection = JSServe.evaljs_value(session, js"""
-        Promise.all([$(WGL), $(scene)]).then(([WGL, scene]) => WGL.pick_sorted(scene, $(xy_vec), $(range)))
+        Promise.all([$(WGL), $(scene)]).then(([WGL, scene]) => WGL.pick_sorted_async(scene, $(xy_vec), $(range)))
     """)
     isnothing(selection) && return Tuple{Union{Nothing,AbstractPlot},Int}[]
     lookup = plot_lookup(scene)
+    selection = filter(x -> haskey(lookup, x[1]), selection)
     return map(selection) do (plot_id, index)
         return (lookup[plot_id], index + 1)
     end
@@ -65,11 +70,41 @@ function Makie.pick(scene::Scene, screen::Screen, xy)
     return plot_matrix[1, 1]
 end
 
+# The uuids of all atomic plots in `plots` (or in `scene` for `plots=nothing`), which can get picked in the browser
+function inspectable_uuids(scene::Scene, plots)
+    if isnothing(plots)
+        plots = scene.plots
+    end
+    return js_uuid.(filter!(x-> x.inspectable[], Makie.collect_atomic_plots(plots)))
+end
+
+const WIDGET_COUNTER = Ref(0)
+
+# The `register_*` functions in JS return a function, which removes their listeners and overlays again.
+# We keep it in the browser, and call it once `session` closes, e.g. when the DOM containing the widget gets replaced.
+function register_widget(session::Session, register::JSServe.JSCode)
+    id = string("widget-", WIDGET_COUNTER[] += 1)
+    JSServe.evaljs(session, js"""
+        Promise.resolve($(register)).then(cleanup => WGL.add_widget_cleanup($(id), cleanup))
+    """)
+    on(session.on_close) do closed
+        closed || return
+        root = JSServe.root_session(session)
+        # Nothing to clean up, if the whole page is gone
+        isopen(root) && JSServe.evaljs(root, js"WGL.run_widget_cleanup($(id))")
+        return
+    end
+    return
+end
+
 """
-    ToolTip(figurelike, js_callback; plots=plots_you_want_to_hover)
+    ToolTip(figurelike, js_callback; plots=plots_you_want_to_hover, mode=:click, range=10)
 
-Returns a JSServe DOM element, which creates a popup whenever you click on a plot element in `plots`.
+Returns a JSServe DOM element, which creates a popup whenever you click on a plot element in `plots`,
+or hover over it with `mode=:hover` (picking elements within `range` pixels of the mouse).
 The content of the popup is filled with the return value of js_callback, which can be a string or `HTMLNode`.
+The popup stays inside the browser window, and gets hidden by clicking somewhere else or pressing Escape.
+One figure can have multiple tooltips for different plots.
 
 Usage example:
 
@@ -102,13 +137,15 @@ struct ToolTip
     scene::Scene
     callback::JSServe.JSCode
     plot_uuids::Vector{String}
-    function ToolTip(figlike, callback; plots=nothing)
-        scene = Makie.get_scene(figlike)
-        if isnothing(plots)
-            plots = scene.plots
+    mode::Symbol
+    range::Int
+    function ToolTip(figlike, callback; plots=nothing, mode=:click, range=10)
+        if !(mode in (:click, :hover))
+            error("mode needs to be :click or :hover, got: $(mode)")
         end
-        all_plots = js_uuid.(filter!(x-> x.inspectable[], Makie.collect_atomic_plots(plots)))
-        new(scene, callback, all_plots)
+        scene = Makie.get_scene(figlike)
+        all_plots = inspectable_uuids(scene, plots)
+        new(scene, callback, all_plots, mode, range)
     end
 end
 
@@ -117,12 +154,195 @@ const POPUP_CSS = JSServe.Asset(joinpath(@__DIR__, "popup.css"))
 function JSServe.jsrender(session::Session, tt::ToolTip)
     scene = tt.scene
     popup =  DOM.div("", class="popup")
-    JSServe.evaljs(session, js"""
+    register_widget(session, js"""
         $(scene).then(scene => {
             const plots_to_pick = new Set($(tt.plot_uuids));
             const callback = $(tt.callback);
-            WGL.register_popup($popup, scene, plots_to_pick, callback)
+            return WGL.register_popup($popup, scene, plots_to_pick, callback, $(string(tt.mode)), $(tt.range))
         })
     """)
     return DOM.span(JSServe.jsrender(session, POPUP_CSS), popup)
 end
+
+"""
+    HoverTracker(figurelike; plots=plots_you_want_to_hover, range=10, throttle=50, highlight=nothing)
+
+Tracks the plot element under the mouse directly in the browser, without asking Julia to pick on every mouse move.
+Julia only gets notified, when the hovered element changes, which updates `tracker.hovered` to `(plot, index)`,
+or to `(nothing, 0)` when the mouse leaves the element.
+`range` is the distance in pixels in which elements get picked, and `throttle` the minimal time in milliseconds between two picks.
+With a `highlight` color, the hovered element gets tinted with it directly in the browser,
+where the alpha of the color sets the strength of the tint.
+The tracking runs in the browser, so it only starts once `tracker` gets rendered next to the figure:
+
+```julia
+App() do session
+    f, ax, pl = scatter(1:4, markersize=100)
+    tracker = WGL.HoverTracker(f; plots=pl, highlight=(:yellow, 0.5))
+    on(tracker.hovered) do (plot, index)
+        isnothing(plot) || println("hovering point \$(index)")
+    end
+    return DOM.div(f, tracker)
+end
+```
+"""
+struct HoverTracker
+    scene::Scene
+    plot_uuids::Vector{String}
+    range::Int
+    throttle::Int
+    highlight::Union{Nothing, RGBAf}
+    hovered::Observable{Tuple{Union{Nothing, AbstractPlot}, Int}}
+    function HoverTracker(figlike; plots=nothing, range=10, throttle=50, highlight=nothing)
+        scene = Makie.get_scene(figlike)
+        all_plots = inspectable_uuids(scene, plots)
+        hovered = Observable{Tuple{Union{Nothing, AbstractPlot}, Int}}((nothing, 0))
+        highlight_color = isnothing(highlight) ? nothing : Makie.to_color(highlight)
+        new(scene, all_plots, range, throttle, highlight_color, hovered)
+    end
+end
+
+function JSServe.jsrender(session::Session, tracker::HoverTracker)
+    scene = tracker.scene
+    # [plot_uuid, index] of the hovered element, with plot_uuid == nothing after leaving it
+    hover = Observable{Any}(nothing)
+    on(session, hover) do (uuid, index)
+        lookup = plot_lookup(scene)
+        if isnothing(uuid) || !haskey(lookup, uuid)
+            tracker.hovered[] = (nothing, 0)
+        else
+            tracker.hovered[] = (lookup[uuid], Int(index) + 1)
+        end
+    end
+    c = tracker.highlight
+    highlight = isnothing(c) ? nothing : Float32[red(c), green(c), blue(c), alpha(c)]
+    register_widget(session, js"""
+        $(scene).then(scene => {
+            const plots_to_pick = new Set($(tracker.plot_uuids));
+            return WGL.register_hover(scene, plots_to_pick, $(tracker.range), $(tracker.throttle),
+                (plot_uuid, index) => $(hover).notify([plot_uuid, index]), $(highlight))
+        })
+    """)
+    return DOM.span()
+end
+
+"""
+    Selection(figurelike; plots=plots_you_want_to_select)
+
+Lets the user select plot elements in the browser, either with a rectangle (shift + drag) or with a lasso (alt + drag).
+The selection gets resolved in the browser and sent to Julia in one message,
+which updates `selection.selected` to a vector of `(plot, index)`.
+Like all picking, this only selects elements which are visible on screen.
+The mouse handlers get registered in the browser when `selection` gets rendered, so it needs to be part of the app:
+
+```julia
+App() do session
+    f, ax, pl = scatter(rand(Point2f, 10000))
+    selection = WGL.Selection(f; plots=pl)
+    on(selection.selected) do selected
+        println("selected \$(length(selected)) points")
+    end
+    return DOM.div(f, selection)
+end
+```
+"""
+struct Selection
+    scene::Scene
+    plot_uuids::Vector{String}
+    selected::Observable{Vector{Tuple{AbstractPlot, Int}}}
+    function Selection(figlike; plots=nothing)
+        scene = Makie.get_scene(figlike)
+        all_plots = inspectable_uuids(scene, plots)
+        new(scene, all_plots, Observable(Tuple{AbstractPlot, Int}[]))
+    end
+end
+
+function JSServe.jsrender(session::Session, selection::Selection)
+    scene = selection.scene
+    # list of [plot_uuid, index] of all selected elements
+    selected = Observable{Any}(nothing)
+    on(session, selected) do picks
+        lookup = plot_lookup(scene)
+        picks = filter(x -> haskey(lookup, x[1]), picks)
+        selection.selected[] = map(picks) do (uuid, index)
+            return (lookup[uuid], Int(index) + 1)
+        end
+    end
+    register_widget(session, js"""
+        $(scene).then(scene => {
+            const plots_to_pick = new Set($(selection.plot_uuids));
+            return WGL.register_selection(scene, plots_to_pick, (picks) => $(selected).notify(picks))
+        })
+    """)
+    return DOM.span()
+end
+
+"""
+    Crosshair(figurelike; precision=4)
+
+Draws a crosshair over the scene of `figurelike` (e.g. an `Axis`), and shows the data coordinates under the mouse,
+rounded to `precision` significant digits.
+Everything gets computed in the browser, so this also works in static exports without a running Julia session.
+The lines and the label are HTML elements over the canvas, which get created when the crosshair gets rendered into the page,
+and removed again once its session closes:
+
+```julia
+App() do session
+    f, ax, pl = scatter(1:4)
+    return DOM.div(f, WGL.Crosshair(ax))
+end
+```
+"""
+struct Crosshair
+    scene::Scene
+    precision::Int
+    function Crosshair(figlike; precision=4)
+        new(Makie.get_scene(figlike), precision)
+    end
+end
+
+function JSServe.jsrender(session::Session, crosshair::Crosshair)
+    register_widget(session, js"""
+        $(crosshair.scene).then(scene => WGL.register_crosshair(scene, $(crosshair.precision)))
+    """)
+    return DOM.span()
+end
+
+"""
+    PanZoom(ax::Axis; zoomspeed=0.1)
+
+Pans (left mouse drag or one finger) and zooms (scroll or pinch) `ax` directly in the browser,
+instead of sending every drag and scroll event to Julia.
+Once the user stops interacting, the visible limits get sent to Julia, which sets `ax.targetlimits` so that e.g. the ticks get updated.
+Since the camera runs in the browser, this also works in static exports.
+The browser camera gets attached to the axis when `PanZoom` gets rendered next to the figure, and detached again once its session closes:
+
+```julia
+App() do session
+    f, ax, pl = lines(cumsum(randn(10000)))
+    return DOM.div(f, WGL.PanZoom(ax))
+end
+```
+"""
+struct PanZoom
+    axis::Axis
+    zoomspeed::Float64
+    function PanZoom(ax::Axis; zoomspeed=0.1)
+        new(ax, zoomspeed)
+    end
+end
+
+function JSServe.jsrender(session::Session, panzoom::PanZoom)
+    ax = panzoom.axis
+    # [xmin, ymin, xmax, ymax] in the transformed space of the axis scene
+    limits = Observable{Any}(nothing)
+    on(session, limits) do (xmin, ymin, xmax, ymax)
+        xinv = Makie.inverse_transform(ax.xscale[])
+        yinv = Makie.inverse_transform(ax.yscale[])
+        ax.targetlimits[] = BBox(xinv(xmin), xinv(xmax), yinv(ymin), yinv(ymax))
+    end
+    register_widget(session, js"""
+        $(ax.scene).then(scene => WGL.register_pan_zoom(scene, (limits) => $(limits).notify(limits), $(panzoom.zoomspeed)))
+    """)
+    return DOM.span()
+end
@@ -265,7 +265,11 @@ function serialize_three(program::Program)
     attribute_updater = Observable(["", [], 0])
     register_geometry_updates(attribute_updater, program)
     # TODO, make this configurable in ShaderAbstractions
-    update_shader(x) = replace(x, "#version 300 es" => "")
+    # With `fragment_id` as a second output, all outputs need an explicit location
+    function update_shader(x)
+        x = replace(x, "#version 300 es" => "")
+        return replace(x, r"out\s+vec4\s+fragment_color;" => "layout(location=0) out vec4 fragment_color;")
+    end
     return Dict(:vertexarrays => serialize_named_buffer(program.vertexarray),
                 :faces => indices, :uniforms => uniforms,
                 :vertex_source => update_shader(program.vertex_source),
@@ -274,7 +278,112 @@ function serialize_three(program::Program)
                 :attribute_updater => attribute_updater)
 end
 
-function serialize_scene(scene::Scene)
+const CAMERA3D_KEYS = (
+    :up_key, :down_key, :left_key, :right_key, :forward_key, :backward_key,
+    :zoom_in_key, :zoom_out_key, :stretch_view_key, :contract_view_key,
+    :pan_left_key, :pan_right_key, :tilt_up_key, :tilt_down_key,
+    :roll_clockwise_key, :roll_counterclockwise_key,
+    :fix_x_key, :fix_y_key, :fix_z_key, :reset, :scroll_mod
+)
+
+const CAMERA3D_SETTINGS = (
+    :keyboard_rotationspeed, :keyboard_translationspeed, :keyboard_zoomspeed,
+    :mouse_rotationspeed, :mouse_translationspeed, :mouse_zoomspeed,
+    :fixed_axis, :zoom_shift_lookat, :cad
+)
+
+# All attributes of `Camera3D`, which end up in `serialize_camera_settings`
+const CAMERA3D_SERIALIZED = (
+    CAMERA3D_SETTINGS..., CAMERA3D_KEYS..., :fov, :circular_rotation, :rotation_center,
+    :rotation_button, :translation_button
+)
+
+# The JS camera only understands single keys and buttons, anything else (e.g. `true` or `Keyboard.a & Keyboard.b`) becomes `nothing`
+serialize_key(key::Keyboard.Button) = keyboard_to_code(key)
+serialize_key(key) = nothing
+function serialize_mouse_button(button::Mouse.Button)
+    index = findfirst(==(button), DOM_MOUSE_BUTTONS)
+    return isnothing(index) ? nothing : index - 1
+end
+serialize_mouse_button(button) = nothing
+
+"""
+    serialize_camera_settings(cam::Camera3D)
+
+The controls of `cam`, so that the camera in JS (`attach_3d_camera`) behaves like `Camera3D` in Julia.
+Keys get serialized as JS `event.code`, and mouse buttons as JS `event.button`.
+"""
+function serialize_camera_settings(cam::Camera3D)
+    attr = cam.attributes
+    settings = Dict{Symbol, Any}(name => attr[name][] for name in CAMERA3D_SETTINGS)
+    settings[:fov] = Float32(attr.fov[])
+    settings[:circular_rotation] = collect(Bool, attr.circular_rotation[])
+    settings[:rotation_center] = string(attr.rotation_center[])
+    settings[:rotation_button] = serialize_mouse_button(attr.rotation_button[])
+    settings[:translation_button] = serialize_mouse_button(attr.translation_button[])
+    settings[:keys] = Dict(name => serialize_key(attr[name][]) for name in CAMERA3D_KEYS)
+    return settings
+end
+
+camera_view(cam::Camera3D) = [serialize_three(cam.eyeposition[]), serialize_three(cam.lookat[]),
+                               serialize_three(cam.upvector[]), cam.zoom_mult[],
+                               cam.near[], cam.far[], Float32(cam.attributes.fov[])]
+
+# The observables of `connect_camera_view!` for each (session id, scene uuid),
+# so that serializing a scene again in the same session doesn't connect its camera again.
+const CAMERA_VIEWS = Dict{Tuple{String, String}, NTuple{3, Observable{Any}}}()
+
+"""
+    connect_camera_view!(session, scene, cam::Camera3D)
+
+Keeps the view of `cam` in sync with the camera in JS, which moves without asking Julia.
+Returns three observables: `view` with `[eyeposition, lookat, upvector, zoom_mult, near, far, fov]` gets sent to JS
+whenever `cam` changes in Julia, e.g. via `update_cam!` or by setting `cam.attributes.fov`,
+JS sends its `[eyeposition, lookat, upvector, zoom_mult]` in `browser_view` after the user stopped moving the camera,
+and `settings` sends `serialize_camera_settings(cam)` again whenever e.g. a speed or key in `cam.attributes` changes.
+The camera only gets connected once per `session`, and disconnected again once `session` closes.
+"""
+function connect_camera_view!(session::Session, scene::Scene, cam::Camera3D)
+    key = (session.id, js_uuid(scene))
+    return get!(CAMERA_VIEWS, key) do
+        view = Observable{Any}(camera_view(cam))
+        browser_view = Observable{Any}(nothing)
+        settings = Observable{Any}(serialize_camera_settings(cam))
+        # don't send the view back to JS, while applying the view from JS
+        syncing = Ref(false)
+        obsfuncs = onany(cam.eyeposition, cam.lookat, cam.upvector, cam.zoom_mult,
+                         cam.near, cam.far, cam.attributes.fov) do _, _, _, _, _, _, _
+            syncing[] || (view[] = camera_view(cam))
+            return
+        end
+        push!(obsfuncs, on(browser_view) do (eyeposition, lookat, upvector, zoom_mult)
+            syncing[] = true
+            try
+                cam.eyeposition[] = Vec3f(eyeposition...)
+                cam.lookat[] = Vec3f(lookat...)
+                cam.upvector[] = Vec3f(upvector...)
+                cam.zoom_mult[] = zoom_mult
+                update_cam!(scene, cam)
+            finally
+                syncing[] = false
+            end
+            return
+        end)
+        append!(obsfuncs, onany((cam.attributes[name] for name in CAMERA3D_SERIALIZED)...) do args...
+            settings[] = serialize_camera_settings(cam)
+            return
+        end)
+        on(session.on_close) do closed
+            closed || return
+            foreach(off, obsfuncs)
+            delete!(CAMERA_VIEWS, key)
+            return
+        end
+        return view, browser_view, settings
+    end
+end
+
+function serialize_scene(session::Session, scene::Scene)
 
     hexcolor(c) = "#" * hex(Colors.color(to_color(c)))
     pixel_area = lift(area -> Int32[minimum(area)..., widths(area)...], pixelarea(scene))
@@ -282,15 +391,17 @@ function serialize_scene(scene::Scene)
     cam_controls = cameracontrols(scene)
 
     cam3d_state = if cam_controls isa Camera3D
-        fields = (:lookat, :upvector, :eyeposition, :fov, :near, :far)
+        fields = (:lookat, :upvector, :eyeposition, :fov, :near, :far, :zoom_mult)
         dict = Dict((f => serialize_three(getfield(cam_controls, f)[]) for f in fields))
         dict[:resolution] = lift(res -> Int32[res...], scene.camera.resolution)
+        dict[:projectiontype] = lift(string, cam_controls.attributes.projectiontype)
+        dict[:view], dict[:browser_view], dict[:settings] = connect_camera_view!(session, scene, cam_controls)
         dict
     else
         nothing
     end
 
-    children = map(child-> serialize_scene(child), scene.children)
+    children = map(child-> serialize_scene(session, child), scene.children)
 
     serialized = Dict(:pixelarea => pixel_area,
                       :backgroundcolor => lift(hexcolor, scene.backgroundcolor),
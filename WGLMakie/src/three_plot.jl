@@ -40,7 +40,7 @@ end
 
 function three_display(session::Session, scene::Scene; screen_config...)
     config = Makie.merge_screen_config(ScreenConfig, screen_config)::ScreenConfig
-    scene_serialized = serialize_scene(scene)
+    scene_serialized = serialize_scene(session, scene)
 
     window_open = scene.events.window_open
     width, height = size(scene)
@@ -54,10 +54,11 @@ function three_display(session::Session, scene::Scene; screen_config...)
     evaljs(session, js"""
     $(WGL).then(WGL => {
         try {
-            const renderer = WGL.create_scene(
+            const screen = WGL.create_scene(
                 $wrapper, $canvas, $canvas_width, $scene_serialized, $comm, $width, $height,
-                $(ta), $(config.framerate), $(config.resize_to_body))
-            const gl = renderer.getContext()
+                $(ta), $(config.framerate), $(config.resize_to_body), $(config.render_on_demand),
+                $(config.shared_context), $(config.single_pass_picking), $(config.event_rate))
+            const gl = screen.renderer.getContext()
             const err = gl.getError()
             if (err != gl.NO_ERROR) {
                 throw new Error("WebGL error: " + WGL.wglerror(gl, err))
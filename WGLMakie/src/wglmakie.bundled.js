@@ -20163,7 +20163,7 @@ const mod = {
     sRGBEncoding: ri
 };
 function getWebGLErrorMessage() {
-    return getErrorMessage(1);
+    return getErrorMessage(2);
 }
 function getErrorMessage(version) {
     var names = {
@@ -20195,17 +20195,103 @@ function getErrorMessage(version) {
     element.innerHTML = message;
     return element;
 }
-const pixelRatio = window.devicePixelRatio || 1.0;
+function wheel_delta_pixels(event) {
+    const page_height = window.innerHeight;
+    const scale = [
+        1,
+        16,
+        page_height
+    ][event.deltaMode] || 1;
+    return [
+        event.deltaX * scale,
+        event.deltaY * scale
+    ];
+}
+function event_modifiers(event) {
+    return {
+        shift: event.shiftKey,
+        ctrl: event.ctrlKey,
+        alt: event.altKey,
+        meta: event.metaKey
+    };
+}
+function create_event_queue(comm, event_rate) {
+    const interval = 1000 / event_rate;
+    let queue = [];
+    let last_flush = -Infinity;
+    let scheduled = false;
+    function send() {
+        const events = queue;
+        queue = [];
+        if (events.length > 0) {
+            comm.notify({
+                events
+            });
+        }
+    }
+    function flush(timestamp) {
+        if (timestamp - last_flush < interval) {
+            window.requestAnimationFrame(flush);
+            return;
+        }
+        scheduled = false;
+        last_flush = timestamp;
+        send();
+    }
+    function schedule() {
+        if (document.hidden) {
+            send();
+            return;
+        }
+        if (scheduled) {
+            return;
+        }
+        scheduled = true;
+        window.requestAnimationFrame(flush);
+    }
+    return function send_event(message) {
+        const event = {
+            ...message,
+            timestamp: performance.now()
+        };
+        const last = queue[queue.length - 1];
+        if (last && "mouseposition" in last && "mouseposition" in event) {
+            queue[queue.length - 1] = event;
+        } else {
+            queue.push(event);
+        }
+        schedule();
+    };
+}
 function event2scene_pixel(scene, event) {
-    const { canvas  } = scene.screen;
+    const { canvas , pixel_ratio  } = scene.screen;
     const rect = canvas.getBoundingClientRect();
-    const x = (event.clientX - rect.left) * pixelRatio;
-    const y = (rect.height - (event.clientY - rect.top)) * pixelRatio;
+    const x = (event.clientX - rect.left) * pixel_ratio;
+    const y = (rect.height - (event.clientY - rect.top)) * pixel_ratio;
     return [
         x,
         y
     ];
 }
+function to_world(scene, x, y) {
+    const proj_inv = scene.wgl_camera.projectionview_inverse.value;
+    const [_x, _y, w, h] = scene.pixelarea.value;
+    const pix_space = new je((x - _x) / w * 2 - 1, (y - _y) / h * 2 - 1, 0, 1.0);
+    pix_space.applyMatrix4(proj_inv);
+    return new Z(pix_space.x / pix_space.w, pix_space.y / pix_space.w);
+}
+function unproject(plot, x, y, depth) {
+    const [_x, _y, w, h] = plot.parent.pixelarea.value;
+    const { projectionview , model  } = plot.material.uniforms;
+    const inverse = new ze().copy(projectionview.value);
+    if (model) {
+        inverse.multiply(model.value);
+    }
+    inverse.invert();
+    const clip_space = new je((x - _x) / w * 2 - 1, (y - _y) / h * 2 - 1, depth * 2 - 1, 1.0);
+    clip_space.applyMatrix4(inverse);
+    return new A(clip_space.x / clip_space.w, clip_space.y / clip_space.w, clip_space.z / clip_space.w);
+}
 function Identity4x4() {
     return new ze();
 }
@@ -20214,108 +20300,655 @@ function in_scene(scene, mouse_event) {
     const [sx, sy, sw, sh] = scene.pixelarea.value;
     return x >= sx && x < sx + sw && y >= sy && y < sy + sh;
 }
+function clamp(x, min, max) {
+    return Math.min(Math.max(x, min), max);
+}
+const CAMERA3D_KEY_ALIASES = {
+    pan_left_key: [
+        "ArrowLeft"
+    ],
+    pan_right_key: [
+        "ArrowRight"
+    ],
+    tilt_up_key: [
+        "ArrowUp"
+    ],
+    tilt_down_key: [
+        "ArrowDown"
+    ],
+    zoom_in_key: [
+        "Equal",
+        "NumpadAdd"
+    ],
+    zoom_out_key: [
+        "Minus",
+        "NumpadSubtract"
+    ]
+};
 function attach_3d_camera(canvas, makie_camera, cam3d, scene) {
     if (cam3d === undefined) {
-        return;
+        return ()=>{};
+    }
+    let settings = cam3d.settings.value;
+    let keys = settings.keys;
+    cam3d.settings.on((new_settings)=>{
+        settings = new_settings;
+        keys = settings.keys;
+    });
+    const eyeposition = new A(...cam3d.eyeposition);
+    const lookat = new A(...cam3d.lookat);
+    const upvector = new A(...cam3d.upvector);
+    let zoom_mult = cam3d.zoom_mult;
+    let near = cam3d.near;
+    let far = cam3d.far;
+    let fov = settings.fov;
+    const initial = [
+        eyeposition.clone(),
+        lookat.clone(),
+        upvector.clone(),
+        zoom_mult
+    ];
+    function is_orthographic() {
+        return cam3d.projectiontype.value === "Orthographic";
+    }
+    function orthographic_size() {
+        const [width, height] = cam3d.resolution.value;
+        const aspect = width / height;
+        return [
+            0.5 * (1 + aspect) * zoom_mult,
+            0.5 * (1 + 1 / aspect) * zoom_mult
+        ];
     }
-    const [w, h] = makie_camera.resolution.value;
-    const camera = new yt(cam3d.fov, w / h, cam3d.near, cam3d.far);
-    const center = new A(...cam3d.lookat);
-    camera.up = new A(...cam3d.upvector);
-    camera.position.set(...cam3d.eyeposition);
-    camera.lookAt(center);
     function update() {
-        const view = camera.matrixWorldInverse;
-        const projection = camera.projectionMatrix;
         const [width, height] = cam3d.resolution.value;
-        const [x, y, z] = camera.position;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        camera.updateWorldMatrix();
+        const projection = new ze();
+        if (is_orthographic()) {
+            const [w, h] = orthographic_size();
+            projection.makeOrthographic(-w, w, h, -h, near, far);
+        } else {
+            const zoomed_fov = clamp(zoom_mult * fov, 0.01, 175);
+            const top = near * Math.tan(zoomed_fov * Math.PI / 360);
+            const right = top * width / height;
+            projection.makePerspective(-right, right, top, -top, near, far);
+        }
+        const view = new ze().lookAt(eyeposition, lookat, upvector).setPosition(eyeposition).invert();
         makie_camera.update_matrices(view.elements, projection.elements, [
             width,
             height
-        ], [
-            x,
-            y,
-            z
-        ]);
+        ], eyeposition.toArray());
     }
     cam3d.resolution.on(update);
-    function addMouseHandler(domObject, drag, zoomIn, zoomOut) {
-        let startDragX = null;
-        let startDragY = null;
+    cam3d.projectiontype.on(update);
+    cam3d.view.on(([eye, center, up, mult, near_plane, far_plane, base_fov])=>{
+        eyeposition.fromArray(eye);
+        lookat.fromArray(center);
+        upvector.fromArray(up);
+        zoom_mult = mult;
+        near = near_plane;
+        far = far_plane;
+        fov = base_fov;
+        update();
+    });
+    let sync_timeout = undefined;
+    function changed() {
+        update();
+        clearTimeout(sync_timeout);
+        sync_timeout = setTimeout(()=>{
+            const view = [
+                eyeposition,
+                lookat,
+                upvector
+            ].map((v)=>v.toArray());
+            cam3d.browser_view.notify([
+                ...view,
+                zoom_mult
+            ]);
+        }, 200);
+    }
+    const pressed = new Set();
+    function is_camera_key(code) {
+        return Object.keys(keys).some((name)=>{
+            if (!name.endsWith("_key") || name.startsWith("fix_")) {
+                return false;
+            }
+            return [
+                keys[name],
+                ...CAMERA3D_KEY_ALIASES[name] || []
+            ].includes(code);
+        });
+    }
+    function ispressed(name) {
+        const codes = [
+            keys[name],
+            ...CAMERA3D_KEY_ALIASES[name] || []
+        ];
+        return codes.some((code)=>code && pressed.has(code));
+    }
+    function camera_axes() {
+        const u_z = eyeposition.clone().sub(lookat).normalize();
+        const u_x = upvector.clone().normalize().cross(u_z).normalize();
+        const u_y = u_z.clone().cross(u_x).normalize();
+        return [
+            u_x,
+            u_y,
+            u_z
+        ];
+    }
+    function fixed_axes() {
+        return [
+            "fix_x_key",
+            "fix_y_key",
+            "fix_z_key"
+        ].map(ispressed);
+    }
+    function consume(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+    function translate([x, y, z]) {
+        const [u_x, u_y, u_z] = camera_axes();
+        const translation = u_x.multiplyScalar(x).add(u_y.multiplyScalar(y)).add(u_z.multiplyScalar(z));
+        const [fix_x, fix_y, fix_z] = fixed_axes();
+        if (fix_x || fix_y || fix_z) {
+            translation.multiply(new A(+fix_x, +fix_y, +fix_z));
+        }
+        eyeposition.add(translation);
+        lookat.add(translation);
+    }
+    function qrotation(axis, angle) {
+        return new Ut().setFromAxisAngle(axis.clone().normalize(), angle);
+    }
+    function rotate(angles, mouse_position = undefined) {
+        const viewdir = lookat.clone().sub(eyeposition);
+        const right = viewdir.clone().cross(upvector);
+        const x_axis = right;
+        const y_axis = settings.fixed_axis ? new A(0, 0, upvector.z < 0 ? -1 : 1) : upvector;
+        const z_axis = viewdir.clone().negate();
+        const [fix_x, fix_y, fix_z] = fixed_axes();
+        const [cx, cy, cz] = settings.circular_rotation;
+        const rotation = new Ut();
+        function rotate_all() {
+            rotation.multiply(qrotation(y_axis, angles[1])).multiply(qrotation(x_axis, angles[0])).multiply(qrotation(z_axis, angles[2]));
+        }
+        if (!(fix_x ^ fix_y ^ fix_z)) {
+            rotate_all();
+        } else if (mouse_position && (fix_x && cx || fix_y && cy || fix_z && cz)) {
+            const [w, h] = cam3d.resolution.value;
+            const [mx, my] = mouse_position;
+            const flip = [
+                0.5 * w > mx ? 1 : -1,
+                0.5 * h > my ? 1 : -1
+            ];
+            const angle = flip[0] * angles[0] + flip[1] * angles[1];
+            const axis = new A(fix_x * Math.sign(right.x), fix_z * viewdir.y, fix_y * Math.sign(upvector.z));
+            rotation.multiply(qrotation(axis, fix_y ? angle : -angle));
+        } else {
+            rotate_all();
+            rotation.set(rotation.x * fix_x, rotation.y * fix_y, rotation.z * fix_z, rotation.w).normalize();
+        }
+        upvector.applyQuaternion(rotation);
+        viewdir.applyQuaternion(rotation);
+        if (settings.rotation_center === "lookat") {
+            eyeposition.copy(lookat).sub(viewdir);
+        } else {
+            lookat.copy(eyeposition).add(viewdir);
+        }
+    }
+    function zoom(zoom_step, mouse_position = undefined) {
+        const [w, h] = cam3d.resolution.value;
+        const viewdir = lookat.clone().sub(eyeposition);
+        const distance = viewdir.length();
+        if (mouse_position && settings.cad) {
+            const [rx, ry] = [
+                2 * mouse_position[0] / w - 1,
+                2 * mouse_position[1] / h - 1
+            ];
+            const right = viewdir.clone().cross(upvector).normalize();
+            const shift = right.multiplyScalar(rx).addScaledVector(upvector.clone().normalize(), ry);
+            const shifted = eyeposition.clone().addScaledVector(shift, 0.1 * Math.sign(1 - zoom_step) * distance);
+            eyeposition.copy(lookat).addScaledVector(shifted.sub(lookat).normalize(), distance);
+        } else if (mouse_position && settings.zoom_shift_lookat && is_orthographic()) {
+            const [u_x, u_y] = camera_axes();
+            const [ow, oh] = orthographic_size();
+            const [rx, ry] = [
+                2 * mouse_position[0] / w - 1,
+                2 * mouse_position[1] / h - 1
+            ];
+            const shift = u_x.multiplyScalar(rx * ow).add(u_y.multiplyScalar(ry * oh));
+            shift.multiplyScalar(1 - zoom_step);
+            lookat.add(shift);
+            eyeposition.add(shift);
+        } else if (mouse_position && settings.zoom_shift_lookat) {
+            const [u_x, u_y] = camera_axes();
+            const before = Math.tan(clamp(zoom_mult * fov, 0.01, 175) / 360 * Math.PI);
+            const after = Math.tan(clamp(zoom_mult * zoom_step * fov, 0.01, 175) / 360 * Math.PI);
+            const [rx, ry] = [
+                2 * mouse_position[0] / w - 1,
+                2 * mouse_position[1] / h - 1
+            ];
+            const shift = u_x.multiplyScalar(rx).add(u_y.multiplyScalar(ry)).normalize();
+            shift.multiplyScalar(-(after - before) * distance);
+            lookat.add(shift);
+            eyeposition.add(shift);
+        }
+        zoom_mult *= zoom_step;
+    }
+    function reset() {
+        const [eye, center, up, mult] = initial;
+        eyeposition.copy(eye);
+        lookat.copy(center);
+        upvector.copy(up);
+        zoom_mult = mult;
+    }
+    let last_pulse = undefined;
+    function on_pulse(time) {
+        const timestep = Math.max(time - last_pulse, 0) / 1000;
+        last_pulse = time;
+        const key = (name)=>+ispressed(name);
+        const translation = [
+            key("right_key") - key("left_key"),
+            key("up_key") - key("down_key"),
+            key("backward_key") - key("forward_key")
+        ];
+        const translating = translation.some((x)=>x !== 0);
+        if (translating) {
+            const scale = settings.keyboard_translationspeed * timestep * zoom_mult * eyeposition.distanceTo(lookat);
+            translate(translation.map((x)=>x * scale));
+        }
+        const angles = [
+            key("tilt_up_key") - key("tilt_down_key"),
+            key("pan_left_key") - key("pan_right_key"),
+            key("roll_counterclockwise_key") - key("roll_clockwise_key")
+        ];
+        const rotating = angles.some((x)=>x !== 0);
+        if (rotating) {
+            const scale = settings.keyboard_rotationspeed * timestep;
+            rotate(angles.map((x)=>x * scale));
+        }
+        const step = 1 + settings.keyboard_zoomspeed * timestep;
+        const zoom_direction = key("zoom_out_key") - key("zoom_in_key");
+        if (zoom_direction !== 0) {
+            zoom(Math.pow(step, zoom_direction));
+        }
+        const stretch = key("stretch_view_key") - key("contract_view_key");
+        if (stretch !== 0) {
+            const offset = eyeposition.clone().sub(lookat);
+            eyeposition.copy(lookat).addScaledVector(offset, Math.pow(step, stretch));
+        }
+        if (translating || rotating || zoom_direction !== 0 || stretch !== 0) {
+            changed();
+            window.requestAnimationFrame(on_pulse);
+        } else {
+            last_pulse = undefined;
+        }
+    }
+    function start_pulse() {
+        if (last_pulse === undefined) {
+            last_pulse = performance.now();
+            window.requestAnimationFrame(on_pulse);
+        }
+    }
+    function mouse_position(event) {
+        const [x, y] = event2scene_pixel(scene, event);
+        const [sx, sy] = scene.pixelarea.value;
+        return [
+            x - sx,
+            y - sy
+        ];
+    }
+    const pointers = new Map();
+    function two_pointers() {
+        const [[x1, y1], [x2, y2]] = [
+            ...pointers.values()
+        ];
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        return [
+            (x1 + x2) / 2,
+            (y1 + y2) / 2,
+            distance
+        ];
+    }
+    function drag_rotate(deltaX, deltaY, event) {
+        const pixelRatio = scene.screen.pixel_ratio;
+        const scale = pixelRatio * 0.01 * settings.mouse_rotationspeed * 0.5;
+        rotate([
+            -deltaY * scale,
+            -deltaX * scale,
+            0
+        ], mouse_position(event));
+    }
+    function drag_translate(deltaX, deltaY) {
+        const pixelRatio = scene.screen.pixel_ratio;
+        const speed = settings.mouse_translationspeed;
+        if (is_orthographic()) {
+            const [w, h] = cam3d.resolution.value;
+            const [ow, oh] = orthographic_size();
+            const scale_x = 2 * ow * pixelRatio * speed / w;
+            const scale_y = 2 * oh * pixelRatio * speed / h;
+            translate([
+                -deltaX * scale_x,
+                deltaY * scale_y,
+                0
+            ]);
+        } else {
+            const distance = eyeposition.distanceTo(lookat);
+            const scale = pixelRatio * 0.002 * zoom_mult * distance * speed;
+            translate([
+                -deltaX * scale,
+                deltaY * scale,
+                0
+            ]);
+        }
+    }
+    function addPointerHandler(domObject) {
+        domObject.style.touchAction = "none";
         function mouseWheelHandler(e) {
-            e = window.event || e;
             if (!in_scene(scene, e)) {
                 return;
             }
-            const delta = Math.sign(e.deltaY);
-            if (delta == -1) {
-                zoomOut();
-            } else if (delta == 1) {
-                zoomIn();
+            if (keys.scroll_mod && !pressed.has(keys.scroll_mod)) {
+                return;
             }
-            e.preventDefault();
+            const [, deltaY] = wheel_delta_pixels(e);
+            const zoom_step = Math.pow(1 + 0.1 * settings.mouse_zoomspeed, deltaY / 100);
+            zoom(zoom_step, mouse_position(e));
+            changed();
+            consume(e);
         }
-        function mouseDownHandler(e) {
+        function pointerDownHandler(e) {
             if (!in_scene(scene, e)) {
                 return;
             }
-            startDragX = e.clientX;
-            startDragY = e.clientY;
-            e.preventDefault();
+            if (e.shiftKey || e.altKey) {
+                return;
+            }
+            let mode = "rotate";
+            if (e.pointerType === "mouse") {
+                if (e.button === settings.rotation_button) {
+                    mode = "rotate";
+                } else if (e.button === settings.translation_button || e.button === 1) {
+                    mode = "translate";
+                } else {
+                    return;
+                }
+            }
+            domObject.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, [
+                e.clientX,
+                e.clientY,
+                mode
+            ]);
+        }
+        function drag(e) {
+            const [x, y, mode] = pointers.get(e.pointerId);
+            if (pointers.size == 1) {
+                if (mode === "rotate") {
+                    drag_rotate(e.clientX - x, e.clientY - y, e);
+                } else {
+                    drag_translate(e.clientX - x, e.clientY - y);
+                }
+                pointers.set(e.pointerId, [
+                    e.clientX,
+                    e.clientY,
+                    mode
+                ]);
+            } else if (pointers.size == 2) {
+                const [x0, y0, distance0] = two_pointers();
+                pointers.set(e.pointerId, [
+                    e.clientX,
+                    e.clientY,
+                    mode
+                ]);
+                const [x1, y1, distance1] = two_pointers();
+                drag_translate(x1 - x0, y1 - y0);
+                if (distance1 > 0) {
+                    zoom(distance0 / distance1);
+                }
+            }
+            changed();
+        }
+        function pointerMoveHandler(e) {
+            if (!pointers.has(e.pointerId)) {
+                return;
+            }
+            drag(e);
+            consume(e);
         }
-        function mouseMoveHandler(e) {
-            if (!in_scene(scene, e)) {
+        function pointerUpHandler(e) {
+            if (!pointers.has(e.pointerId)) {
                 return;
             }
-            if (startDragX === null || startDragY === null) return;
-            if (drag) drag(e.clientX - startDragX, e.clientY - startDragY);
-            startDragX = e.clientX;
-            startDragY = e.clientY;
-            e.preventDefault();
+            drag(e);
+            pointers.delete(e.pointerId);
         }
-        function mouseUpHandler(e) {
-            if (!in_scene(scene, e)) {
+        let pointer_in_scene = undefined;
+        function pointerHoverHandler(e) {
+            pointer_in_scene = in_scene(scene, e);
+        }
+        const consumed_keys = new Set();
+        function keyDownHandler(e) {
+            pressed.add(e.code);
+            if (pointer_in_scene === false || !is_camera_key(e.code)) {
                 return;
             }
-            mouseMoveHandler.call(this, e);
-            startDragX = null;
-            startDragY = null;
-            e.preventDefault();
-        }
-        domObject.addEventListener("wheel", mouseWheelHandler);
-        domObject.addEventListener("mousedown", mouseDownHandler);
-        domObject.addEventListener("mousemove", mouseMoveHandler);
-        domObject.addEventListener("mouseup", mouseUpHandler);
-    }
-    function drag(deltaX, deltaY) {
-        const radPerPixel = Math.PI / 450;
-        const deltaPhi = radPerPixel * deltaX;
-        const deltaTheta = radPerPixel * deltaY;
-        const pos = camera.position.sub(center);
-        const radius = pos.length();
-        let theta = Math.acos(pos.z / radius);
-        let phi = Math.atan2(pos.y, pos.x);
-        theta = Math.min(Math.max(theta - deltaTheta, 0), Math.PI);
-        phi -= deltaPhi;
-        pos.x = radius * Math.sin(theta) * Math.cos(phi);
-        pos.y = radius * Math.sin(theta) * Math.sin(phi);
-        pos.z = radius * Math.cos(theta);
-        camera.position.add(center);
-        camera.lookAt(center);
-        update();
+            start_pulse();
+            consumed_keys.add(e.code);
+            consume(e);
+        }
+        function keyUpHandler(e) {
+            pressed.delete(e.code);
+            if (consumed_keys.delete(e.code)) {
+                consume(e);
+            }
+            if (pointer_in_scene !== false && keys.reset && e.code === keys.reset) {
+                reset();
+                changed();
+            }
+        }
+        function blurHandler() {
+            pressed.clear();
+            consumed_keys.clear();
+        }
+        const listeners = [
+            [
+                "wheel",
+                mouseWheelHandler
+            ],
+            [
+                "pointermove",
+                pointerHoverHandler
+            ],
+            [
+                "keydown",
+                keyDownHandler
+            ],
+            [
+                "keyup",
+                keyUpHandler
+            ],
+            [
+                "pointerdown",
+                pointerDownHandler
+            ],
+            [
+                "pointermove",
+                pointerMoveHandler
+            ],
+            [
+                "pointerup",
+                pointerUpHandler
+            ],
+            [
+                "pointercancel",
+                pointerUpHandler
+            ]
+        ];
+        const options = {
+            capture: true,
+            passive: false
+        };
+        listeners.forEach(([name, handler])=>domObject.addEventListener(name, handler, options));
+        domObject.addEventListener("blur", blurHandler);
+        return ()=>{
+            listeners.forEach(([name, handler])=>domObject.removeEventListener(name, handler, options));
+            domObject.removeEventListener("blur", blurHandler);
+            blurHandler();
+        };
     }
-    function zoomIn() {
-        camera.position.sub(center).multiplyScalar(0.9).add(center);
-        update();
+    const remove_listeners = addPointerHandler(canvas);
+    return ()=>{
+        clearTimeout(sync_timeout);
+        pointers.clear();
+        remove_listeners();
+    };
+}
+function attach_2d_camera(scene, on_limits, zoomspeed = 0.1) {
+    const { canvas  } = scene.screen;
+    const makie_camera = scene.wgl_camera;
+    const pointers = new Map();
+    let sync_timeout = undefined;
+    function visible_limits() {
+        const inverse = makie_camera.projectionview_inverse.value;
+        const lower = new je(-1, -1, 0, 1).applyMatrix4(inverse);
+        const upper = new je(1, 1, 0, 1).applyMatrix4(inverse);
+        const [x0, y0] = [
+            lower.x / lower.w,
+            lower.y / lower.w
+        ];
+        const [x1, y1] = [
+            upper.x / upper.w,
+            upper.y / upper.w
+        ];
+        return [
+            Math.min(x0, x1),
+            Math.min(y0, y1),
+            Math.max(x0, x1),
+            Math.max(y0, y1)
+        ];
     }
-    function zoomOut() {
-        camera.position.sub(center).multiplyScalar(1.1).add(center);
-        update();
+    function schedule_sync() {
+        clearTimeout(sync_timeout);
+        sync_timeout = setTimeout(()=>{
+            if (pointers.size == 0) {
+                on_limits(visible_limits());
+            }
+        }, 200);
+    }
+    function to_clip(clientX, clientY) {
+        const [x, y] = event2scene_pixel(scene, {
+            clientX,
+            clientY
+        });
+        const [sx, sy, sw, sh] = scene.pixelarea.value;
+        return [
+            (x - sx) / sw * 2 - 1,
+            (y - sy) / sh * 2 - 1
+        ];
+    }
+    function transform(clientX, clientY, scale, dx, dy) {
+        const [cx, cy] = to_clip(clientX, clientY);
+        const [, , sw, sh] = scene.pixelarea.value;
+        const pixelRatio = scene.screen.pixel_ratio;
+        const tx = 2 * dx * pixelRatio / sw;
+        const ty = -2 * dy * pixelRatio / sh;
+        const clip_transform = new ze().set(scale, 0, 0, (1 - scale) * cx + tx, 0, scale, 0, (1 - scale) * cy + ty, 0, 0, 1, 0, 0, 0, 0, 1);
+        makie_camera.projection.value.premultiply(clip_transform);
+        makie_camera.calculate_matrices();
+        schedule_sync();
+    }
+    function handle(event) {
+        event.preventDefault();
+        event.stopPropagation();
+    }
+    function two_pointers() {
+        const [[x1, y1], [x2, y2]] = pointers.values();
+        const distance = Math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2);
+        return [
+            (x1 + x2) / 2,
+            (y1 + y2) / 2,
+            distance
+        ];
+    }
+    function wheel(event) {
+        if (event.target !== canvas || !in_scene(scene, event)) {
+            return;
+        }
+        if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+        const direction = -Math.sign(event.deltaY);
+        const scale = Math.pow(1 - zoomspeed, -direction);
+        transform(event.clientX, event.clientY, scale, 0, 0);
+        handle(event);
+    }
+    function pointerdown(event) {
+        if (event.target !== canvas || !in_scene(scene, event)) {
+            return;
+        }
+        if (event.button !== 0 || event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+        canvas.focus({
+            preventScroll: true
+        });
+        canvas.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, [
+            event.clientX,
+            event.clientY
+        ]);
+        handle(event);
+    }
+    function pointermove(event) {
+        const last = pointers.get(event.pointerId);
+        if (last === undefined) {
+            return;
+        }
+        if (pointers.size == 1) {
+            transform(event.clientX, event.clientY, 1, event.clientX - last[0], event.clientY - last[1]);
+            pointers.set(event.pointerId, [
+                event.clientX,
+                event.clientY
+            ]);
+        } else if (pointers.size == 2) {
+            const [x0, y0, distance0] = two_pointers();
+            pointers.set(event.pointerId, [
+                event.clientX,
+                event.clientY
+            ]);
+            const [x1, y1, distance1] = two_pointers();
+            const scale = distance0 > 0 ? distance1 / distance0 : 1;
+            transform(x0, y0, scale, x1 - x0, y1 - y0);
+        }
+        handle(event);
+    }
+    function pointerup(event) {
+        if (!pointers.has(event.pointerId)) {
+            return;
+        }
+        pointermove(event);
+        pointers.delete(event.pointerId);
+        schedule_sync();
     }
-    addMouseHandler(canvas, drag, zoomIn, zoomOut);
+    const listeners = {
+        wheel,
+        pointerdown,
+        pointermove,
+        pointerup,
+        pointercancel: pointerup
+    };
+    const options = {
+        capture: true,
+        passive: false
+    };
+    Object.entries(listeners).forEach(([name, listener])=>{
+        window.addEventListener(name, listener, options);
+    });
+    return ()=>{
+        clearTimeout(sync_timeout);
+        Object.entries(listeners).forEach(([name, listener])=>{
+            window.removeEventListener(name, listener, options);
+        });
+    };
 }
 function mul(a, b) {
     return b.clone().multiply(a);
@@ -20396,6 +21029,10 @@ class MakieCamera {
         this.resolution = new Pu(new Z());
         this.eyeposition = new Pu(new A());
         this.preprojections = {};
+        this.listeners = [];
+    }
+    on_update(callback) {
+        this.listeners.push(callback);
     }
     calculate_matrices() {
         const [w, h] = this.resolution.value;
@@ -20409,6 +21046,7 @@ class MakieCamera {
             const [space, markerspace] = key.split(",");
             this.preprojections[key].value = this.calculate_preprojection_matrix(space, markerspace);
         });
+        this.listeners.forEach((callback)=>callback());
     }
     update_matrices(view, projection, resolution, eyepos) {
         this.view.value.fromArray(view);
@@ -20470,6 +21108,9 @@ const plot_cache = {};
 const TEXTURE_ATLAS = [
     undefined
 ];
+function request_render(screen) {
+    screen.requires_update = true;
+}
 function add_scene(scene_id, three_scene) {
     scene_cache[scene_id] = three_scene;
 }
@@ -20485,6 +21126,7 @@ function delete_scene(scene_id) {
         scene.remove(scene.children[0]);
     }
     delete scene_cache[scene_id];
+    request_render(scene.screen);
 }
 function find_plots(plot_uuids) {
     const plots = [];
@@ -20509,6 +21151,7 @@ function insert_plot(scene_id, plot_data) {
     plot_data.forEach((plot)=>{
         add_plot(scene, plot);
     });
+    request_render(scene.screen);
 }
 function delete_plots(scene_id, plot_uuids) {
     console.log(`deleting plots!: ${plot_uuids}`);
@@ -20518,6 +21161,7 @@ function delete_plots(scene_id, plot_uuids) {
         scene.remove(p);
         delete plot_cache[p];
     });
+    request_render(scene.screen);
 }
 function convert_texture(data) {
     const tex = create_texture(data);
@@ -20578,12 +21222,12 @@ function deserialize_uniforms(data) {
     }
     return result;
 }
-function deserialize_plot(data) {
+function deserialize_plot(data, screen) {
     let mesh;
     if ("instance_attributes" in data) {
-        mesh = create_instanced_mesh(data);
+        mesh = create_instanced_mesh(data, screen);
     } else {
-        mesh = create_mesh(data);
+        mesh = create_mesh(data, screen);
     }
     mesh.name = data.name;
     mesh.frustumCulled = false;
@@ -20591,12 +21235,14 @@ function deserialize_plot(data) {
     mesh.plot_uuid = data.uuid;
     const update_visible = (v)=>{
         mesh.visible = v;
+        request_render(screen);
         return;
     };
     update_visible(data.visible.value);
     data.visible.on(update_visible);
-    connect_uniforms(mesh, data.uniform_updater);
-    connect_attributes(mesh, data.attribute_updater);
+    data.faces.on(()=>request_render(screen));
+    connect_uniforms(mesh, data.uniform_updater, screen);
+    connect_attributes(mesh, data.attribute_updater, screen);
     return mesh;
 }
 const ON_NEXT_INSERT = new Set();
@@ -20629,13 +21275,15 @@ function add_plot(scene, plot_data) {
         const { space , markerspace  } = plot_data;
         plot_data.uniforms.preprojection = cam.preprojection_matrix(space.value, markerspace.value);
     }
-    const p = deserialize_plot(plot_data);
+    const p = deserialize_plot(plot_data, scene.screen);
+    scene.screen.last_object_id += 1;
+    p.material.uniforms.object_id.value = scene.screen.last_object_id;
     plot_cache[plot_data.uuid] = p;
     scene.add(p);
     const next_insert = new Set(ON_NEXT_INSERT);
     next_insert.forEach((f)=>f());
 }
-function connect_uniforms(mesh, updater) {
+function connect_uniforms(mesh, updater, screen) {
     updater.on(([name, data])=>{
         if (name === "none") {
             return;
@@ -20659,6 +21307,7 @@ function connect_uniforms(mesh, updater) {
                 uniform.value = data;
             }
         }
+        request_render(screen);
     });
 }
 function convert_RGB_to_RGBA(rgbArray) {
@@ -20783,10 +21432,13 @@ function recreate_instanced_geometry(mesh) {
     mesh.geometry = buffer_geometry;
     mesh.needsUpdate = true;
 }
-function create_material(program) {
+function create_material(program, screen) {
     const is_volume = "volumedata" in program.uniforms;
     return new mod.RawShaderMaterial({
         uniforms: deserialize_uniforms(program.uniforms),
+        defines: screen.id_target ? {
+            SINGLE_PASS_PICKING: true
+        } : {},
         vertexShader: program.vertex_source,
         fragmentShader: program.fragment_source,
         side: is_volume ? mod.BackSide : mod.DoubleSide,
@@ -20796,23 +21448,23 @@ function create_material(program) {
         depthWrite: !program.transparency.value
     });
 }
-function create_mesh(program) {
+function create_mesh(program, screen) {
     const buffer_geometry = new mod.BufferGeometry();
     const faces = new mod.BufferAttribute(program.faces.value, 1);
     attach_geometry(buffer_geometry, program.vertexarrays, faces);
-    const material = create_material(program);
+    const material = create_material(program, screen);
     const mesh = new mod.Mesh(buffer_geometry, material);
     program.faces.on((x)=>{
         mesh.geometry.setIndex(new mod.BufferAttribute(x, 1));
     });
     return mesh;
 }
-function create_instanced_mesh(program) {
+function create_instanced_mesh(program, screen) {
     const buffer_geometry = new mod.InstancedBufferGeometry();
     const faces = new mod.BufferAttribute(program.faces.value, 1);
     attach_geometry(buffer_geometry, program.vertexarrays, faces);
     attach_instanced_geometry(buffer_geometry, program.instance_attributes);
-    const material = create_material(program);
+    const material = create_material(program, screen);
     const mesh = new mod.Mesh(buffer_geometry, material);
     program.faces.on((x)=>{
         mesh.geometry.setIndex(new mod.BufferAttribute(x, 1));
@@ -20822,7 +21474,7 @@ function create_instanced_mesh(program) {
 function first(x) {
     return x[Object.keys(x)[0]];
 }
-function connect_attributes(mesh, updater) {
+function connect_attributes(mesh, updater, screen) {
     const instance_buffers = {};
     const geometry_buffers = {};
     let first_instance_buffer;
@@ -20886,6 +21538,7 @@ function connect_attributes(mesh, updater) {
                 }
             }
         }
+        request_render(screen);
     });
 }
 function deserialize_scene(data, screen) {
@@ -20899,7 +21552,13 @@ function deserialize_scene(data, screen) {
     scene.backgroundcolor = data.backgroundcolor;
     scene.clearscene = data.clearscene;
     scene.visible = data.visible;
+    const render_on_change = ()=>request_render(screen);
+    data.pixelarea.on(render_on_change);
+    data.backgroundcolor.on(render_on_change);
+    data.clearscene.on(render_on_change);
+    data.visible.on(render_on_change);
     const camera = new MakieCamera();
+    camera.on_update(render_on_change);
     scene.wgl_camera = camera;
     function update_cam(camera_matrices) {
         const [view, projection, resolution, eyepos] = camera_matrices;
@@ -20907,7 +21566,7 @@ function deserialize_scene(data, screen) {
     }
     update_cam(data.camera.value);
     if (data.cam3d_state) {
-        attach_3d_camera(canvas, camera, data.cam3d_state, scene);
+        scene.detach_camera = attach_3d_camera(canvas, camera, data.cam3d_state, scene);
     } else {
         data.camera.on(update_cam);
     }
@@ -20928,74 +21587,512 @@ function delete_plot(plot) {
 }
 function delete_three_scene(scene) {
     delete scene_cache[scene.scene_uuid];
+    if (scene.detach_camera) {
+        scene.detach_camera();
+    }
     scene.scene_children.forEach(delete_three_scene);
     while(scene.children.length > 0){
         delete_plot(scene.children[0]);
     }
 }
-window.THREE = mod;
-const pixelRatio1 = window.devicePixelRatio || 1.0;
-function render_scene(scene, picking = false) {
-    const { camera , renderer  } = scene.screen;
-    const canvas = renderer.domElement;
-    if (!document.body.contains(canvas)) {
-        console.log("EXITING WGL");
-        renderer.state.reset();
-        renderer.dispose();
-        delete_three_scene(scene);
-        return false;
-    }
-    if (!scene.visible.value) {
-        return true;
-    }
-    renderer.autoClear = scene.clearscene.value;
-    const area = scene.pixelarea.value;
-    if (area) {
-        const [x, y, w, h] = area.map((t)=>t / pixelRatio1);
-        renderer.setViewport(x, y, w, h);
-        renderer.setScissor(x, y, w, h);
-        renderer.setScissorTest(true);
-        if (picking) {
-            renderer.setClearAlpha(0);
-            renderer.setClearColor(new mod.Color(0), 0.0);
+function has_data(plot) {
+    const buffers = Object.values(plot.geometry.attributes);
+    const textures = Object.values(plot.material.uniforms).map((uniform)=>uniform.value).filter((value)=>value && value.isTexture);
+    return buffers.every((buffer)=>buffer.array) && textures.every((tex)=>tex.image && tex.image.data);
+}
+function restore_three_scene(scene) {
+    const missing_plots = [];
+    [
+        ...scene.children
+    ].forEach((plot)=>{
+        if (has_data(plot)) {
+            const { geometry , material  } = plot;
+            Object.values(geometry.attributes).forEach((buffer)=>{
+                buffer.needsUpdate = true;
+            });
+            if (geometry.index) {
+                geometry.index.needsUpdate = true;
+            }
+            Object.values(material.uniforms).forEach(({ value  })=>{
+                if (value && value.isTexture) {
+                    value.needsUpdate = true;
+                }
+            });
+            material.needsUpdate = true;
         } else {
-            renderer.setClearColor(scene.backgroundcolor.value);
+            missing_plots.push(plot.plot_uuid);
+            delete_plot(plot);
         }
-        renderer.render(scene, camera);
-    }
-    return scene.scene_children.every((x)=>render_scene(x, picking));
+    });
+    scene.scene_children.forEach((child)=>{
+        missing_plots.push(...restore_three_scene(child));
+    });
+    return missing_plots;
 }
-function start_renderloop(three_scene) {
-    const { fps  } = three_scene.screen;
-    const time_per_frame = 1 / fps * 1000;
-    let last_time_stamp = performance.now();
-    function renderloop(timestamp) {
-        if (timestamp - last_time_stamp > time_per_frame) {
-            const all_rendered = render_scene(three_scene);
-            if (!all_rendered) {
+function unpack_ids(ids, npixels) {
+    const depths = new Float32Array(ids.buffer);
+    const picked_plots_array = [];
+    for(let i = 0; i < npixels; i++){
+        picked_plots_array.push([
+            ids[i * 4],
+            ids[i * 4 + 1],
+            depths[i * 4 + 2]
+        ]);
+    }
+    return picked_plots_array;
+}
+function read_ids(renderer, target, x, y, w, h) {
+    const gl = renderer.getContext();
+    const { __webglFramebuffer  } = renderer.properties.get(target);
+    const ids = new Uint32Array(w * h * 4);
+    if (__webglFramebuffer) {
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, __webglFramebuffer);
+        gl.readBuffer(gl.COLOR_ATTACHMENT1);
+        gl.readPixels(x, y, w, h, gl.RGBA_INTEGER, gl.UNSIGNED_INT, ids);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    }
+    return unpack_ids(ids, w * h);
+}
+function read_ids_async(renderer, target, x, y, w, h) {
+    const gl = renderer.getContext();
+    const { __webglFramebuffer  } = renderer.properties.get(target);
+    const ids = new Uint32Array(w * h * 4);
+    if (!__webglFramebuffer) {
+        return Promise.resolve(unpack_ids(ids, w * h));
+    }
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, ids.byteLength, gl.STREAM_READ);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, __webglFramebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    gl.readPixels(x, y, w, h, gl.RGBA_INTEGER, gl.UNSIGNED_INT, 0);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+    return new Promise((resolve, reject)=>{
+        const cleanup = ()=>{
+            gl.deleteSync(sync);
+            gl.deleteBuffer(buffer);
+        };
+        const poll = ()=>{
+            if (gl.isContextLost()) {
+                reject(new Error("WebGL context lost while picking"));
                 return;
             }
-            last_time_stamp = performance.now();
+            const status = gl.clientWaitSync(sync, 0, 0);
+            if (status === gl.TIMEOUT_EXPIRED) {
+                setTimeout(poll, 1);
+                return;
+            }
+            if (status === gl.WAIT_FAILED) {
+                cleanup();
+                reject(new Error("Waiting for the picking readback failed"));
+                return;
+            }
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+            gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, ids);
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+            cleanup();
+            resolve(unpack_ids(ids, w * h));
+        };
+        poll();
+    });
+}
+function picking_result(picked_plots_array, id_to_plot, w, h) {
+    const picked_plots = {};
+    picked_plots_array.forEach(([id, index])=>{
+        picked_plots[id] = index;
+    });
+    const plots = [];
+    id_to_plot.forEach((plot, id)=>{
+        if (id in picked_plots) {
+            plots.push([
+                plot,
+                picked_plots[id]
+            ]);
         }
-        window.requestAnimationFrame(renderloop);
+    });
+    const picked_plots_matrix = picked_plots_array.map(([id, index])=>{
+        const p = id_to_plot.get(id);
+        return [
+            p ? p.plot_uuid : null,
+            index
+        ];
+    });
+    const plot_matrix = {
+        data: picked_plots_matrix,
+        size: [
+            w,
+            h
+        ]
+    };
+    return [
+        plot_matrix,
+        plots
+    ];
+}
+function range_region(scene, xy, range) {
+    const [width, height] = scene.screen.size;
+    const [x, y] = xy;
+    if (!(0 <= x && x < width && 0 <= y && y < height)) {
+        return undefined;
     }
-    render_scene(three_scene);
-    renderloop();
+    const x0 = Math.max(0, Math.floor(x - range));
+    const y0 = Math.max(0, Math.floor(y - range));
+    const x1 = Math.min(width, Math.ceil(x + range));
+    const y1 = Math.min(height, Math.ceil(y + range));
+    return [
+        x0,
+        y0,
+        x1 - x0,
+        y1 - y0
+    ];
 }
-function throttle_function(func, delay) {
-    let prev = 0;
-    let future_id = undefined;
-    function inner_throttle(...args) {
-        const now = new Date().getTime();
-        if (future_id !== undefined) {
-            clearTimeout(future_id);
-            future_id = undefined;
+function hits_in_range(plot_data, region, xy, range) {
+    const [x0, y0, w, _] = region;
+    const [x, y] = xy;
+    const hits = [];
+    plot_data.data.forEach(([plot_uuid, index], i)=>{
+        if (!plot_uuid) {
+            return;
         }
-        if (now - prev > delay) {
-            prev = now;
-            return func(...args);
-        } else {
-            future_id = setTimeout(()=>inner_throttle(...args), now - prev + 1);
+        const px = x0 + i % w;
+        const py = y0 + Math.floor(i / w);
+        const distance = Math.hypot(px - x, py - y);
+        if (distance < range) {
+            hits.push([
+                plot_uuid,
+                index,
+                distance,
+                [
+                    px,
+                    py
+                ]
+            ]);
+        }
+    });
+    return hits;
+}
+function closest_hit(hits) {
+    if (hits.length == 0) {
+        return [
+            null,
+            0
+        ];
+    }
+    return hits.reduce((closest, hit)=>hit[2] < closest[2] ? hit : closest);
+}
+function sorted_hits(hits) {
+    const closest = new Map();
+    hits.forEach((hit)=>{
+        const [plot_uuid, index, distance] = hit;
+        const key = `${plot_uuid},${index}`;
+        const current = closest.get(key);
+        if (!current || distance < current[2]) {
+            closest.set(key, hit);
+        }
+    });
+    if (closest.size == 0) {
+        return null;
+    }
+    return [
+        ...closest.values()
+    ].sort((a, b)=>a[2] - b[2]);
+}
+function inside_polygon(polygon, x, y) {
+    let inside = false;
+    for(let i = 0, j = polygon.length - 1; i < polygon.length; j = i++){
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if (yi > y !== yj > y && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+window.THREE = mod;
+function device_pixel_ratio() {
+    return window.devicePixelRatio || 1.0;
+}
+function watch_pixel_ratio(callback) {
+    let media = undefined;
+    function listen() {
+        media = window.matchMedia(`(resolution: ${device_pixel_ratio()}dppx)`);
+        media.addEventListener("change", on_change, {
+            once: true
+        });
+    }
+    function on_change() {
+        callback(device_pixel_ratio());
+        listen();
+    }
+    listen();
+    return ()=>media.removeEventListener("change", on_change);
+}
+function dispose_three_scene(scene) {
+    const { renderer , picking_target , id_target , context_2d  } = scene.screen;
+    scene.screen.remove_window_listeners();
+    scene.screen.disconnect_context_loss();
+    if (!context_2d) {
+        renderer.state.reset();
+        renderer.dispose();
+    }
+    picking_target.dispose();
+    if (id_target) {
+        id_target.dispose();
+    }
+    delete_three_scene(scene);
+}
+function create_id_target(width, height) {
+    const target = new mod.WebGLMultipleRenderTargets(width, height, 2);
+    const ids = target.texture[1];
+    ids.format = mod.RGBAIntegerFormat;
+    ids.type = mod.UnsignedIntType;
+    ids.internalFormat = "RGBA32UI";
+    ids.minFilter = mod.NearestFilter;
+    ids.magFilter = mod.NearestFilter;
+    return target;
+}
+function clear_id_target(renderer, color) {
+    const gl = renderer.getContext();
+    const { buffers  } = renderer.state;
+    buffers.color.setMask(true);
+    buffers.depth.setMask(true);
+    const c = new mod.Color(color).getRGB(new mod.Color(), mod.SRGBColorSpace);
+    gl.clearBufferfv(gl.COLOR, 0, [
+        c.r,
+        c.g,
+        c.b,
+        1
+    ]);
+    gl.clearBufferuiv(gl.COLOR, 1, [
+        0,
+        0,
+        0,
+        0
+    ]);
+    gl.clearBufferfv(gl.DEPTH, 0, [
+        1
+    ]);
+}
+let COPY_PASS = undefined;
+function copy_to_canvas(renderer, texture, width, height) {
+    if (!COPY_PASS) {
+        const material = new mod.RawShaderMaterial({
+            uniforms: {
+                color_buffer: new mod.Uniform(null)
+            },
+            vertexShader: `
+                in vec3 position;
+                void main() {
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }`,
+            fragmentShader: `
+                precision mediump float;
+                uniform sampler2D color_buffer;
+                out vec4 fragment_color;
+                void main() {
+                    fragment_color = texelFetch(color_buffer, ivec2(gl_FragCoord.xy), 0);
+                }`,
+            glslVersion: mod.GLSL3,
+            depthTest: false,
+            depthWrite: false
+        });
+        const mesh = new mod.Mesh(new mod.PlaneGeometry(2, 2), material);
+        mesh.frustumCulled = false;
+        const scene = new mod.Scene();
+        scene.add(mesh);
+        COPY_PASS = {
+            scene,
+            material,
+            camera: new mod.Camera()
+        };
+    }
+    const { scene , material , camera  } = COPY_PASS;
+    material.uniforms.color_buffer.value = texture;
+    const pixelRatio = renderer.getPixelRatio();
+    renderer.setViewport(0, 0, width / pixelRatio, height / pixelRatio);
+    renderer.setScissorTest(false);
+    renderer.autoClear = false;
+    renderer.render(scene, camera);
+}
+function render_frame(three_scene) {
+    const { renderer , canvas , context_2d , id_target  } = three_scene.screen;
+    if (context_2d) {
+        const size = renderer.getDrawingBufferSize(new mod.Vector2());
+        if (size.x < canvas.width || size.y < canvas.height) {
+            const pixelRatio = renderer.getPixelRatio();
+            renderer.setSize(Math.ceil(Math.max(size.x, canvas.width) / pixelRatio), Math.ceil(Math.max(size.y, canvas.height) / pixelRatio), false);
+        }
+    }
+    let rendered;
+    if (id_target) {
+        if (id_target.width !== canvas.width || id_target.height !== canvas.height) {
+            id_target.setSize(canvas.width, canvas.height);
+        }
+        renderer.setRenderTarget(id_target);
+        rendered = render_scene(three_scene);
+        renderer.setRenderTarget(null);
+        if (rendered) {
+            copy_to_canvas(renderer, id_target.texture[0], canvas.width, canvas.height);
+        }
+    } else {
+        rendered = render_scene(three_scene);
+    }
+    if (context_2d && rendered) {
+        const source = renderer.domElement;
+        const { width , height  } = canvas;
+        context_2d.globalCompositeOperation = "copy";
+        context_2d.drawImage(source, 0, source.height - height, width, height, 0, 0, width, height);
+    }
+    return rendered;
+}
+function render_scene(scene, picking = false, origin = [
+    0,
+    0
+]) {
+    const { camera , renderer , canvas  } = scene.screen;
+    if (!document.body.contains(canvas)) {
+        return false;
+    }
+    if (!scene.visible.value) {
+        return true;
+    }
+    renderer.autoClear = scene.clearscene.value;
+    const area = scene.pixelarea.value;
+    if (area) {
+        const [x, y, w, h] = area;
+        const [ox, oy] = origin;
+        const pixelRatio = picking ? renderer.getPixelRatio() : scene.screen.pixel_ratio;
+        const viewport = [
+            x - ox,
+            y - oy,
+            w,
+            h
+        ].map((t)=>t / pixelRatio);
+        renderer.setViewport(...viewport);
+        renderer.setScissor(...viewport);
+        renderer.setScissorTest(true);
+        if (picking) {
+            renderer.setClearAlpha(0);
+            renderer.setClearColor(new mod.Color(0), 0.0);
+        } else {
+            renderer.setClearColor(scene.backgroundcolor.value);
+        }
+        const target = renderer.getRenderTarget();
+        if (target && target.isWebGLMultipleRenderTargets) {
+            if (scene.clearscene.value) {
+                clear_id_target(renderer, scene.backgroundcolor.value);
+            }
+            renderer.autoClear = false;
+        }
+        renderer.render(scene, camera);
+    }
+    return scene.scene_children.every((x)=>render_scene(x, picking, origin));
+}
+function start_renderloop(three_scene) {
+    const { screen  } = three_scene;
+    const { fps , render_on_demand , canvas  } = screen;
+    const time_per_frame = 1 / fps * 1000;
+    let last_time_stamp = performance.now();
+    const pause_reasons = new Set();
+    let frame_id = undefined;
+    let stopped = false;
+    function renderloop(timestamp) {
+        frame_id = undefined;
+        if (!document.body.contains(canvas)) {
+            stop();
+            return;
+        }
+        if (timestamp - last_time_stamp > time_per_frame) {
+            if (!render_on_demand || screen.requires_update) {
+                screen.requires_update = false;
+                render_frame(three_scene);
+            }
+            last_time_stamp = performance.now();
+        }
+        schedule_frame();
+    }
+    function schedule_frame() {
+        if (stopped || pause_reasons.size > 0 || frame_id !== undefined) {
+            return;
+        }
+        frame_id = window.requestAnimationFrame(renderloop);
+    }
+    function pause(reason = "user") {
+        pause_reasons.add(reason);
+        if (frame_id !== undefined) {
+            window.cancelAnimationFrame(frame_id);
+            frame_id = undefined;
+        }
+    }
+    function resume(reason = "user") {
+        pause_reasons.delete(reason);
+        schedule_frame();
+    }
+    function on_visibility_change() {
+        if (document.hidden) {
+            pause("hidden");
+        } else {
+            resume("hidden");
+        }
+    }
+    document.addEventListener("visibilitychange", on_visibility_change);
+    let observer = undefined;
+    if ("IntersectionObserver" in window) {
+        observer = new IntersectionObserver((entries)=>{
+            if (!document.body.contains(canvas)) {
+                stop();
+                return;
+            }
+            if (entries[entries.length - 1].isIntersecting) {
+                resume("offscreen");
+            } else {
+                pause("offscreen");
+            }
+        });
+        observer.observe(canvas);
+    }
+    function stop() {
+        if (stopped) {
+            return;
+        }
+        pause("stopped");
+        stopped = true;
+        document.removeEventListener("visibilitychange", on_visibility_change);
+        if (observer) {
+            observer.disconnect();
+        }
+        console.log("EXITING WGL");
+        dispose_three_scene(three_scene);
+    }
+    render_frame(three_scene);
+    screen.requires_update = false;
+    on_visibility_change();
+    schedule_frame();
+    return {
+        pause,
+        resume,
+        stop
+    };
+}
+function throttle_function(func, delay) {
+    let prev = 0;
+    let future_id = undefined;
+    function inner_throttle(...args) {
+        const now = new Date().getTime();
+        if (future_id !== undefined) {
+            clearTimeout(future_id);
+            future_id = undefined;
+        }
+        if (now - prev > delay) {
+            prev = now;
+            return func(...args);
+        } else {
+            future_id = setTimeout(()=>inner_throttle(...args), now - prev + 1);
         }
     }
     return inner_throttle;
@@ -21050,16 +22147,10 @@ function on_shader_error(gl, program, glVertexShader, glFragmentShader) {
     const err = "THREE.WebGLProgram: Shader Error " + wglerror(gl, gl.getError()) + " - " + "VALIDATE_STATUS " + gl.getProgramParameter(program, gl.VALIDATE_STATUS) + "\n\n" + "Program Info Log:\n" + programLog + "\n" + vertexErrors + "\n" + fragmentErrors + "\n" + "Fragment log:\n" + fragmentLog + "Vertex log:\n" + vertexLog;
     JSServe.Connection.send_warning(err);
 }
-function threejs_module(canvas, comm, width, height, resize_to_body) {
-    let context = canvas.getContext("webgl2", {
+function create_renderer(canvas) {
+    const context = canvas.getContext("webgl2", {
         preserveDrawingBuffer: true
     });
-    if (!context) {
-        console.warn("WebGL 2.0 not supported by browser, falling back to WebGL 1.0 (Volume plots will not work)");
-        context = canvas.getContext("webgl", {
-            preserveDrawingBuffer: true
-        });
-    }
     if (!context) {
         return;
     }
@@ -21071,76 +22162,264 @@ function threejs_module(canvas, comm, width, height, resize_to_body) {
     });
     renderer.debug.onShaderError = on_shader_error;
     renderer.setClearColor("#ffffff");
-    renderer.setPixelRatio(pixelRatio1);
-    renderer.setSize(width / pixelRatio1, height / pixelRatio1);
-    const mouse_callback = (x, y)=>comm.notify({
+    renderer.setPixelRatio(device_pixel_ratio());
+    return renderer;
+}
+let SHARED_RENDERER = undefined;
+function get_shared_renderer() {
+    if (!SHARED_RENDERER) {
+        SHARED_RENDERER = create_renderer(document.createElement("canvas"));
+    }
+    return SHARED_RENDERER;
+}
+function set_canvas_size(renderer, canvas, width, height, pixel_ratio) {
+    const css_width = width / pixel_ratio;
+    const css_height = height / pixel_ratio;
+    if (renderer.domElement === canvas) {
+        renderer.setSize(css_width, css_height);
+    } else {
+        const pixelRatio = renderer.getPixelRatio();
+        canvas.width = Math.floor(css_width * pixelRatio);
+        canvas.height = Math.floor(css_height * pixelRatio);
+        canvas.style.width = `${css_width}px`;
+        canvas.style.height = `${css_height}px`;
+    }
+}
+const FOCUS_STYLE = `
+canvas.wglmakie-canvas:focus {
+    outline: none;
+}
+canvas.wglmakie-canvas:focus-visible {
+    outline: 2px solid #4a90e2;
+    outline-offset: -2px;
+}
+`;
+function make_focusable(canvas) {
+    if (!document.getElementById("wglmakie-focus-style")) {
+        const style = document.createElement("style");
+        style.id = "wglmakie-focus-style";
+        style.textContent = FOCUS_STYLE;
+        document.head.appendChild(style);
+    }
+    canvas.classList.add("wglmakie-canvas");
+    if (!canvas.hasAttribute("tabindex")) {
+        canvas.tabIndex = 0;
+    }
+    canvas.addEventListener("pointerdown", ()=>canvas.focus({
+            preventScroll: true
+        }));
+}
+function threejs_module(canvas, comm, width, height, resize_to_body, shared_context = false, event_rate = 30) {
+    const renderer = shared_context ? get_shared_renderer() : create_renderer(canvas);
+    if (!renderer) {
+        return {};
+    }
+    const pixel_ratio = device_pixel_ratio();
+    set_canvas_size(renderer, canvas, width, height, pixel_ratio);
+    const send_event = create_event_queue(comm, event_rate);
+    const mouse_callback = (x, y, modifiers)=>send_event({
             mouseposition: [
                 x,
                 y
-            ]
+            ],
+            modifiers
         });
-    const notify_mouse_throttled = throttle_function(mouse_callback, 40);
-    function mousemove(event) {
+    function canvas_pixel(clientX, clientY) {
         var rect = canvas.getBoundingClientRect();
-        var x = (event.clientX - rect.left) * pixelRatio1;
-        var y = (event.clientY - rect.top) * pixelRatio1;
-        notify_mouse_throttled(x, y);
+        var x = (clientX - rect.left) * pixel_ratio;
+        var y = (clientY - rect.top) * pixel_ratio;
+        return [
+            x,
+            y
+        ];
+    }
+    const touches = new Map();
+    let pinch_distance = undefined;
+    function touch_pinch() {
+        const [[x1, y1], [x2, y2]] = [
+            ...touches.values()
+        ];
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        return [
+            (x1 + x2) / 2,
+            (y1 + y2) / 2,
+            distance
+        ];
+    }
+    function mousemove(event) {
+        if (touches.has(event.pointerId)) {
+            touches.set(event.pointerId, [
+                event.clientX,
+                event.clientY
+            ]);
+            if (touches.size == 2) {
+                const [x, y, distance] = touch_pinch();
+                const modifiers = event_modifiers(event);
+                mouse_callback(...canvas_pixel(x, y), modifiers);
+                const delta = distance - pinch_distance;
+                if (Math.abs(delta) > 20) {
+                    send_event({
+                        scroll: [
+                            0,
+                            Math.sign(delta) * 100
+                        ],
+                        modifiers
+                    });
+                    pinch_distance = distance;
+                }
+                return false;
+            }
+        }
+        if (!event.isPrimary) {
+            return false;
+        }
+        const modifiers = event_modifiers(event);
+        mouse_callback(...canvas_pixel(event.clientX, event.clientY), modifiers);
+        if (event.button !== -1) {
+            const mask = [
+                1,
+                4,
+                2,
+                8,
+                16
+            ][event.button];
+            const { button  } = event;
+            if (event.buttons & mask) {
+                send_event({
+                    mousedown: {
+                        button
+                    },
+                    modifiers
+                });
+            } else {
+                send_event({
+                    mouseup: {
+                        button
+                    },
+                    modifiers
+                });
+            }
+        }
         return false;
     }
-    canvas.addEventListener("mousemove", mousemove);
+    canvas.addEventListener("pointermove", mousemove);
     function mousedown(event) {
-        comm.notify({
-            mousedown: event.buttons
+        if (event.pointerType === "touch") {
+            touches.set(event.pointerId, [
+                event.clientX,
+                event.clientY
+            ]);
+            if (touches.size == 2) {
+                pinch_distance = touch_pinch()[2];
+                send_event({
+                    mouseup: {
+                        button: 0
+                    },
+                    modifiers: event_modifiers(event)
+                });
+                return false;
+            }
+            mouse_callback(...canvas_pixel(event.clientX, event.clientY), event_modifiers(event));
+        }
+        if (!event.isPrimary) {
+            return false;
+        }
+        send_event({
+            mousedown: {
+                button: event.button
+            },
+            modifiers: event_modifiers(event)
         });
         return false;
     }
-    canvas.addEventListener("mousedown", mousedown);
+    canvas.addEventListener("pointerdown", mousedown);
     function mouseup(event) {
-        comm.notify({
-            mouseup: event.buttons
+        touches.delete(event.pointerId);
+        if (touches.size < 2) {
+            pinch_distance = undefined;
+        }
+        if (!event.isPrimary) {
+            return false;
+        }
+        send_event({
+            mouseup: {
+                button: event.button
+            },
+            modifiers: event_modifiers(event)
         });
         return false;
     }
-    canvas.addEventListener("mouseup", mouseup);
+    canvas.addEventListener("pointerup", mouseup);
+    canvas.addEventListener("pointercancel", mouseup);
+    canvas.style.touchAction = "none";
     function wheel(event) {
-        comm.notify({
+        const [dx, dy] = wheel_delta_pixels(event);
+        send_event({
             scroll: [
-                event.deltaX,
-                -event.deltaY
-            ]
+                dx,
+                -dy
+            ],
+            modifiers: event_modifiers(event)
         });
         event.preventDefault();
         return false;
     }
     canvas.addEventListener("wheel", wheel);
     function keydown(event) {
-        comm.notify({
-            keydown: event.code
+        send_event({
+            keydown: {
+                key: event.key,
+                code: event.code,
+                repeat: event.repeat
+            },
+            modifiers: event_modifiers(event)
         });
         return false;
     }
     canvas.addEventListener("keydown", keydown);
     function keyup(event) {
-        comm.notify({
-            keyup: event.code
+        send_event({
+            keyup: {
+                key: event.key,
+                code: event.code,
+                repeat: false
+            },
+            modifiers: event_modifiers(event)
         });
         return false;
     }
     canvas.addEventListener("keyup", keyup);
-    function contextmenu(event) {
-        comm.notify({
-            keyup: "delete_keys"
+    canvas.addEventListener("pointerenter", ()=>send_event({
+            entered_window: true
+        }));
+    canvas.addEventListener("pointerleave", ()=>send_event({
+            entered_window: false
+        }));
+    canvas.addEventListener("focus", ()=>send_event({
+            hasfocus: true
+        }));
+    canvas.addEventListener("blur", ()=>send_event({
+            hasfocus: false
+        }));
+    function dblclick(event) {
+        send_event({
+            dblclick: {
+                position: canvas_pixel(event.clientX, event.clientY),
+                button: event.button
+            },
+            modifiers: event_modifiers(event)
         });
         return false;
     }
+    canvas.addEventListener("dblclick", dblclick);
     canvas.addEventListener("contextmenu", (e)=>e.preventDefault());
-    canvas.addEventListener("focusout", contextmenu);
+    make_focusable(canvas);
     function resize_callback() {
         const bodyStyle = window.getComputedStyle(document.body);
         const width_padding = parseInt(bodyStyle.paddingLeft, 10) + parseInt(bodyStyle.paddingRight, 10) + parseInt(bodyStyle.marginLeft, 10) + parseInt(bodyStyle.marginRight, 10);
         const height_padding = parseInt(bodyStyle.paddingTop, 10) + parseInt(bodyStyle.paddingBottom, 10) + parseInt(bodyStyle.marginTop, 10) + parseInt(bodyStyle.marginBottom, 10);
-        const width = (window.innerWidth - width_padding) * pixelRatio1;
-        const height = (window.innerHeight - height_padding) * pixelRatio1;
+        const width = (window.innerWidth - width_padding) * pixel_ratio;
+        const height = (window.innerHeight - height_padding) * pixel_ratio;
         comm.notify({
             resize: [
                 width,
@@ -21148,193 +22427,213 @@ function threejs_module(canvas, comm, width, height, resize_to_body) {
             ]
         });
     }
+    let remove_resize_listeners = ()=>{};
     if (resize_to_body) {
         const resize_callback_throttled = throttle_function(resize_callback, 100);
-        window.addEventListener("resize", (event)=>resize_callback_throttled());
+        const on_resize = (event)=>resize_callback_throttled();
+        window.addEventListener("resize", on_resize);
+        remove_resize_listeners = ()=>window.removeEventListener("resize", on_resize);
         resize_callback_throttled();
     }
-    return renderer;
+    return {
+        renderer,
+        pixel_ratio,
+        remove_resize_listeners
+    };
 }
-function create_scene(wrapper, canvas, canvas_width, scenes, comm, width, height, texture_atlas_obs, fps, resize_to_body) {
-    const renderer = threejs_module(canvas, comm, width, height, resize_to_body);
-    TEXTURE_ATLAS[0] = texture_atlas_obs;
-    if (renderer) {
-        const camera = new mod.PerspectiveCamera(45, 1, 0, 100);
-        camera.updateProjectionMatrix();
-        const size = new mod.Vector2();
-        renderer.getDrawingBufferSize(size);
-        const picking_target = new mod.WebGLRenderTarget(size.x, size.y);
-        const screen = {
-            renderer,
-            picking_target,
-            camera,
-            fps,
-            canvas
-        };
-        const three_scene = deserialize_scene(scenes, screen);
-        console.log(three_scene);
-        start_renderloop(three_scene);
-        canvas_width.on((w_h)=>{
-            const pixelRatio = renderer.getPixelRatio();
-            renderer.setSize(w_h[0] / pixelRatio, w_h[1] / pixelRatio);
+function connect_context_loss(three_scene, comm) {
+    const { screen  } = three_scene;
+    const canvas = screen.renderer.domElement;
+    function on_context_lost(event) {
+        event.preventDefault();
+        screen.pause("context_lost");
+        comm.notify({
+            context_lost: true
         });
-    } else {
+    }
+    function on_context_restored() {
+        screen.picking_target.dispose();
+        screen.picking_target = create_picking_target();
+        if (screen.id_target) {
+            const { width , height  } = screen.id_target;
+            screen.id_target.dispose();
+            screen.id_target = create_id_target(width, height);
+        }
+        const missing_plots = restore_three_scene(three_scene);
+        request_render(screen);
+        screen.resume("context_lost");
+        comm.notify({
+            context_restored: missing_plots
+        });
+    }
+    canvas.addEventListener("webglcontextlost", on_context_lost);
+    canvas.addEventListener("webglcontextrestored", on_context_restored);
+    return ()=>{
+        canvas.removeEventListener("webglcontextlost", on_context_lost);
+        canvas.removeEventListener("webglcontextrestored", on_context_restored);
+    };
+}
+function create_scene(wrapper, canvas, canvas_width, scenes, comm, width, height, texture_atlas_obs, fps, resize_to_body, render_on_demand, shared_context, single_pass_picking, event_rate) {
+    const { renderer , pixel_ratio , remove_resize_listeners  } = threejs_module(canvas, comm, width, height, resize_to_body, shared_context, event_rate);
+    TEXTURE_ATLAS[0] = texture_atlas_obs;
+    if (!renderer) {
         const warning = getWebGLErrorMessage();
         wrapper.appendChild(warning);
-    }
-    return renderer;
+        throw new Error("WGLMakie needs WebGL 2.0, which isn't available in this browser");
+    }
+    const camera = new mod.PerspectiveCamera(45, 1, 0, 100);
+    camera.updateProjectionMatrix();
+    const picking_target = create_picking_target();
+    const id_target = single_pass_picking ? create_id_target(canvas.width, canvas.height) : undefined;
+    const screen = {
+        renderer,
+        picking_target,
+        id_target,
+        camera,
+        fps,
+        canvas,
+        pixel_ratio,
+        size: [
+            width,
+            height
+        ],
+        context_2d: shared_context ? canvas.getContext("2d") : undefined,
+        render_on_demand,
+        requires_update: true,
+        last_object_id: 0
+    };
+    const unwatch_pixel_ratio = watch_pixel_ratio((pixelRatio)=>{
+        renderer.setPixelRatio(pixelRatio);
+        set_canvas_size(renderer, canvas, ...screen.size, pixel_ratio);
+        request_render(screen);
+    });
+    screen.remove_window_listeners = ()=>{
+        unwatch_pixel_ratio();
+        remove_resize_listeners();
+    };
+    const three_scene = deserialize_scene(scenes, screen);
+    console.log(three_scene);
+    screen.disconnect_context_loss = connect_context_loss(three_scene, comm);
+    Object.assign(screen, start_renderloop(three_scene));
+    canvas_width.on((w_h)=>{
+        screen.size = w_h;
+        set_canvas_size(renderer, canvas, w_h[0], w_h[1], pixel_ratio);
+        request_render(screen);
+    });
+    return screen;
 }
-function set_picking_uniforms(scene, last_id, picking, picked_plots, plots, id_to_plot) {
-    scene.children.forEach((plot, index)=>{
+function set_picking_uniforms(scene, picking) {
+    scene.children.forEach((plot)=>{
         const { material  } = plot;
-        const { uniforms  } = material;
-        if (picking) {
-            uniforms.object_id.value = last_id + index;
-            uniforms.picking.value = true;
-            material.blending = mod.NoBlending;
-        } else {
-            uniforms.picking.value = false;
-            material.blending = mod.NormalBlending;
-            const id = uniforms.object_id.value;
-            if (id in picked_plots) {
-                plots.push([
-                    plot,
-                    picked_plots[id]
-                ]);
-                id_to_plot[id] = plot;
-            }
-        }
+        material.uniforms.picking.value = picking;
+        material.blending = picking ? mod.NoBlending : mod.NormalBlending;
     });
-    let next_id = last_id + scene.children.length;
     scene.scene_children.forEach((scene)=>{
-        next_id = set_picking_uniforms(scene, next_id, picking, picked_plots, plots, id_to_plot);
+        set_picking_uniforms(scene, picking);
     });
-    return next_id;
 }
-function pick_native(scene, x, y, w, h) {
+function plots_by_id(scene, id_to_plot = new Map()) {
+    scene.children.forEach((plot)=>{
+        id_to_plot.set(plot.material.uniforms.object_id.value, plot);
+    });
+    scene.scene_children.forEach((scene)=>{
+        plots_by_id(scene, id_to_plot);
+    });
+    return id_to_plot;
+}
+function create_picking_target() {
+    return create_id_target(1, 1);
+}
+function render_picking(scene, x, y, w, h) {
     const { renderer , picking_target  } = scene.screen;
+    if (picking_target.width !== w || picking_target.height !== h) {
+        picking_target.setSize(w, h);
+    }
     renderer.setRenderTarget(picking_target);
-    set_picking_uniforms(scene, 1, true);
-    render_scene(scene, true);
+    renderer.setScissorTest(false);
+    renderer.setClearColor(new mod.Color(0), 0.0);
+    clear_id_target(renderer, "#000000");
+    set_picking_uniforms(scene, true);
+    render_scene(scene, true, [
+        x,
+        y
+    ]);
+    set_picking_uniforms(scene, false);
     renderer.setRenderTarget(null);
-    const nbytes = w * h * 4;
-    const pixel_bytes = new Uint8Array(nbytes);
-    renderer.readRenderTargetPixels(picking_target, x, y, w, h, pixel_bytes);
-    const picked_plots = {};
-    const picked_plots_array = [];
-    const reinterpret_view = new DataView(pixel_bytes.buffer);
-    for(let i = 0; i < pixel_bytes.length / 4; i++){
-        const id = reinterpret_view.getUint16(i * 4);
-        const index = reinterpret_view.getUint16(i * 4 + 2);
-        picked_plots_array.push([
-            id,
-            index
+    return plots_by_id(scene);
+}
+function last_frame_pickable(screen) {
+    const { renderer , id_target , pixel_ratio  } = screen;
+    return id_target && renderer.getPixelRatio() === pixel_ratio;
+}
+function pick_native(scene, x, y, w, h) {
+    const { renderer , picking_target , id_target  } = scene.screen;
+    if (last_frame_pickable(scene.screen)) {
+        const ids = read_ids(renderer, id_target, x, y, w, h);
+        return picking_result(ids, plots_by_id(scene), w, h);
+    }
+    const id_to_plot = render_picking(scene, x, y, w, h);
+    const ids = read_ids(renderer, picking_target, 0, 0, w, h);
+    return picking_result(ids, id_to_plot, w, h);
+}
+function pick_ids_async(scene, x, y, w, h) {
+    const { renderer , picking_target , id_target  } = scene.screen;
+    if (last_frame_pickable(scene.screen)) {
+        const id_to_plot = plots_by_id(scene);
+        return read_ids_async(renderer, id_target, x, y, w, h).then((ids)=>[
+                ids,
+                id_to_plot
+            ]);
+    }
+    const id_to_plot = render_picking(scene, x, y, w, h);
+    return read_ids_async(renderer, picking_target, 0, 0, w, h).then((ids)=>[
+            ids,
+            id_to_plot
         ]);
-        picked_plots[id] = index;
-    }
-    const plots = [];
-    const id_to_plot = {};
-    set_picking_uniforms(scene, 0, false, picked_plots, plots, id_to_plot);
-    const picked_plots_matrix = picked_plots_array.map(([id, index])=>{
-        const p = id_to_plot[id];
+}
+function pick_native_async(scene, x, y, w, h) {
+    return pick_ids_async(scene, x, y, w, h).then(([ids, id_to_plot])=>picking_result(ids, id_to_plot, w, h));
+}
+function pick_world_position(scene, x, y) {
+    return pick_ids_async(scene, x, y, 1, 1).then(([ids, id_to_plot])=>{
+        const [id, index, depth] = ids[0];
+        const plot = id_to_plot.get(id);
+        if (!plot || depth === undefined) {
+            return null;
+        }
         return [
-            p ? p.plot_uuid : null,
-            index
+            plot.plot_uuid,
+            index,
+            unproject(plot, x, y, depth)
         ];
     });
-    const plot_matrix = {
-        data: picked_plots_matrix,
-        size: [
-            w,
-            h
-        ]
-    };
-    return [
-        plot_matrix,
-        plots
-    ];
 }
-function pick_closest(scene, xy, range) {
-    const { picking_target  } = scene.screen;
-    const { width , height  } = picking_target;
-    if (!(1.0 <= xy[0] <= width && 1.0 <= xy[1] <= height)) {
-        return [
-            null,
-            0
-        ];
+function pick_in_range(scene, xy, range) {
+    const region = range_region(scene, xy, range);
+    if (!region) {
+        return [];
     }
-    const x0 = Math.max(1, xy[0] - range);
-    const y0 = Math.max(1, xy[1] - range);
-    const x1 = Math.min(width, Math.floor(xy[0] + range));
-    const y1 = Math.min(height, Math.floor(xy[1] + range));
-    const dx = x1 - x0;
-    const dy = y1 - y0;
-    const [plot_data, _] = pick_native(scene, x0, y0, dx, dy);
-    const plot_matrix = plot_data.data;
-    let min_dist = range ^ 2;
-    let selection = [
-        null,
-        0
-    ];
-    const x = xy[0] + 1 - x0;
-    const y = xy[1] + 1 - y0;
-    let pindex = 0;
-    for(let i = 1; i <= dx; i++){
-        for(let j = 1; j <= dx; j++){
-            const d = x - i ^ 2 + (y - j) ^ 2;
-            const [plot_uuid, index] = plot_matrix[pindex];
-            pindex = pindex + 1;
-            if (d < min_dist && plot_uuid) {
-                min_dist = d;
-                selection = [
-                    plot_uuid,
-                    index
-                ];
-            }
-        }
+    const [plot_data, _] = pick_native(scene, ...region);
+    return hits_in_range(plot_data, region, xy, range);
+}
+function pick_in_range_async(scene, xy, range) {
+    const region = range_region(scene, xy, range);
+    if (!region) {
+        return Promise.resolve([]);
     }
-    return selection;
+    return pick_native_async(scene, ...region).then(([plot_data, _])=>hits_in_range(plot_data, region, xy, range));
+}
+function pick_closest(scene, xy, range) {
+    return closest_hit(pick_in_range(scene, xy, range));
+}
+function pick_closest_async(scene, xy, range) {
+    return pick_in_range_async(scene, xy, range).then(closest_hit);
 }
 function pick_sorted(scene, xy, range) {
-    const { picking_target  } = scene.screen;
-    const { width , height  } = picking_target;
-    if (!(1.0 <= xy[0] <= width && 1.0 <= xy[1] <= height)) {
-        return null;
-    }
-    const x0 = Math.max(1, xy[0] - range);
-    const y0 = Math.max(1, xy[1] - range);
-    const x1 = Math.min(width, Math.floor(xy[0] + range));
-    const y1 = Math.min(height, Math.floor(xy[1] + range));
-    const dx = x1 - x0;
-    const dy = y1 - y0;
-    const [plot_data, selected] = pick_native(scene, x0, y0, dx, dy);
-    if (selected.length == 0) {
-        return null;
-    }
-    const plot_matrix = plot_data.data;
-    const distances = selected.map((x)=>range ^ 2);
-    const x = xy[0] + 1 - x0;
-    const y = xy[1] + 1 - y0;
-    let pindex = 0;
-    for(let i = 1; i <= dx; i++){
-        for(let j = 1; j <= dx; j++){
-            const d = x - i ^ 2 + (y - j) ^ 2;
-            const [plot_uuid, index] = plot_matrix[pindex];
-            pindex = pindex + 1;
-            const plot_index = selected.findIndex((x)=>x[0].plot_uuid == plot_uuid);
-            if (plot_index >= 0 && d < distances[plot_index]) {
-                distances[plot_index] = d;
-            }
-        }
-    }
-    const sorted_indices = Array.from(Array(distances.length).keys()).sort((a, b)=>distances[a] < distances[b] ? -1 : distances[b] < distances[a] | 0);
-    return sorted_indices.map((idx)=>{
-        const [plot, index] = selected[idx];
-        return [
-            plot.plot_uuid,
-            index
-        ];
-    });
+    return sorted_hits(pick_in_range(scene, xy, range));
+}
+function pick_sorted_async(scene, xy, range) {
+    return pick_in_range_async(scene, xy, range).then(sorted_hits);
 }
 function pick_native_uuid(scene, x, y, w, h) {
     const [_, picked_plots] = pick_native(scene, x, y, w, h);
@@ -21347,38 +22646,474 @@ function pick_native_matrix(scene, x, y, w, h) {
     const [matrix, _] = pick_native(scene, x, y, w, h);
     return matrix;
 }
-function register_popup(popup, scene, plots_to_pick, callback) {
-    if (!scene || !scene.screen) {
-        return;
+function pick_native_matrix_async(scene, x, y, w, h) {
+    return pick_native_async(scene, x, y, w, h).then(([matrix, _])=>matrix);
+}
+function fill_popup(popup, result) {
+    if (typeof result === "string" || result instanceof String) {
+        popup.innerText = result;
+    } else {
+        popup.innerHTML = result;
+    }
+}
+function place_popup(popup, clientX, clientY) {
+    const offset = 10;
+    const { width , height  } = popup.getBoundingClientRect();
+    let x = clientX + 10;
+    let y = clientY + 10;
+    if (x + width > window.innerWidth) {
+        x = clientX - offset - width;
+    }
+    if (y + height > window.innerHeight) {
+        y = clientY - offset - height;
+    }
+    popup.style.left = Math.max(0, x) + window.scrollX + "px";
+    popup.style.top = Math.max(0, y) + window.scrollY + "px";
+}
+function is_displayed(scene) {
+    return Boolean(scene && scene.screen);
+}
+function register_popup(popup, scene, plots_to_pick, callback, mode = "click", range = 10) {
+    if (!is_displayed(scene)) {
+        return ()=>{};
     }
     const { canvas  } = scene.screen;
-    canvas.addEventListener("mousedown", (event)=>{
-        if (!popup.classList.contains("show")) {
-            popup.classList.add("show");
-        }
-        popup.style.left = event.pageX + "px";
-        popup.style.top = event.pageY + "px";
-        const [x, y] = event2scene_pixel(scene, event);
-        const [_, picks] = pick_native(scene, x, y, 1, 1);
-        if (picks.length == 1) {
-            const [plot, index] = picks[0];
-            if (plots_to_pick.has(plot.plot_uuid)) {
-                const result = callback(plot, index);
-                if (typeof result === "string" || result instanceof String) {
-                    popup.innerText = result;
+    const cleanups = [];
+    function listen(target, name, listener) {
+        target.addEventListener(name, listener);
+        cleanups.push(()=>target.removeEventListener(name, listener));
+    }
+    function hide() {
+        popup.classList.remove("show");
+    }
+    function show(plot, index, clientX, clientY) {
+        fill_popup(popup, callback(plot, index));
+        popup.classList.add("show");
+        place_popup(popup, clientX, clientY);
+    }
+    if (mode === "hover") {
+        let mouse = [
+            0,
+            0
+        ];
+        listen(canvas, "pointermove", (event)=>{
+            mouse = [
+                event.clientX,
+                event.clientY
+            ];
+        });
+        const remove_hover = register_hover(scene, plots_to_pick, range, 50, (plot_uuid, index)=>{
+            const plot = plot_uuid && find_plots([
+                plot_uuid
+            ])[0];
+            if (plot) {
+                show(plot, index, ...mouse);
+            } else {
+                hide();
+            }
+        });
+        cleanups.push(remove_hover);
+    } else {
+        listen(canvas, "pointerdown", (event)=>{
+            const { clientX , clientY  } = event;
+            const [x, y] = event2scene_pixel(scene, event);
+            pick_native_async(scene, x, y, 1, 1).then(([_, picks])=>{
+                const pick = picks.find(([plot])=>plots_to_pick.has(plot.plot_uuid));
+                if (pick) {
+                    show(pick[0], pick[1], clientX, clientY);
                 } else {
-                    popup.innerHTML = result;
+                    hide();
                 }
-            }
-        } else {
-            popup.classList.remove("show");
+            }).catch((e)=>console.warn(e));
+        });
+    }
+    listen(document, "pointerdown", (event)=>{
+        if (event.target !== canvas && !popup.contains(event.target)) {
+            hide();
         }
     });
-    canvas.addEventListener("keyup", (event)=>{
+    listen(document, "keydown", (event)=>{
         if (event.key === "Escape") {
-            popup.classList.remove("show");
+            hide();
+        }
+    });
+    return ()=>{
+        hide();
+        cleanups.forEach((cleanup)=>cleanup());
+    };
+}
+function set_highlight(plot, index, color = [
+    1,
+    1,
+    0,
+    0.5
+]) {
+    const { uniforms  } = plot.material;
+    if (!uniforms.highlight) {
+        return;
+    }
+    uniforms.highlight.value = true;
+    uniforms.highlight_index.value = index;
+    uniforms.highlight_color.value.set(...color);
+    if (plot.parent) {
+        request_render(plot.parent.screen);
+    }
+}
+function clear_highlight(plot) {
+    const { uniforms  } = plot.material;
+    if (!uniforms.highlight || !uniforms.highlight.value) {
+        return;
+    }
+    uniforms.highlight.value = false;
+    if (plot.parent) {
+        request_render(plot.parent.screen);
+    }
+}
+function register_hover(scene, plots_to_pick, range, delay, callback, highlight_color = undefined) {
+    if (!is_displayed(scene)) {
+        return ()=>{};
+    }
+    const { canvas  } = scene.screen;
+    let hovered = [
+        null,
+        0
+    ];
+    let highlighted = undefined;
+    let inside = false;
+    let last_pick = 0;
+    function set_hovered(plot_uuid, index) {
+        if (hovered[0] === plot_uuid && hovered[1] === index) {
+            return;
         }
+        hovered = [
+            plot_uuid,
+            index
+        ];
+        if (highlight_color) {
+            if (highlighted) {
+                clear_highlight(highlighted);
+            }
+            highlighted = plot_uuid ? find_plots([
+                plot_uuid
+            ])[0] : undefined;
+            if (highlighted) {
+                set_highlight(highlighted, index, highlight_color);
+            }
+        }
+        callback(plot_uuid, index);
+    }
+    function pick(xy) {
+        if (!inside) {
+            return;
+        }
+        const pick_id = ++last_pick;
+        pick_sorted_async(scene, xy, range).then((hits)=>{
+            if (pick_id !== last_pick) {
+                return;
+            }
+            const hit = (hits || []).find(([plot_uuid])=>plots_to_pick.has(plot_uuid));
+            if (hit) {
+                set_hovered(hit[0], hit[1]);
+            } else {
+                set_hovered(null, 0);
+            }
+        }).catch((e)=>console.warn(e));
+    }
+    const pick_throttled = throttle_function(pick, delay);
+    function mousemove(event) {
+        inside = true;
+        pick_throttled(event2scene_pixel(scene, event));
+    }
+    function mouseleave() {
+        inside = false;
+        last_pick++;
+        set_hovered(null, 0);
+    }
+    canvas.addEventListener("pointermove", mousemove);
+    canvas.addEventListener("pointerleave", mouseleave);
+    return ()=>{
+        inside = false;
+        if (highlighted) {
+            clear_highlight(highlighted);
+        }
+        canvas.removeEventListener("pointermove", mousemove);
+        canvas.removeEventListener("pointerleave", mouseleave);
+    };
+}
+const SVG_NS = "http://www.w3.org/2000/svg";
+function create_selection_overlay() {
+    const svg = document.createElementNS(SVG_NS, "svg");
+    Object.assign(svg.style, {
+        position: "fixed",
+        left: "0px",
+        top: "0px",
+        width: "100vw",
+        height: "100vh",
+        pointerEvents: "none",
+        zIndex: 1000
     });
+    const polygon = document.createElementNS(SVG_NS, "polygon");
+    polygon.setAttribute("fill", "rgba(0, 0, 255, 0.1)");
+    polygon.setAttribute("stroke", "rgba(0, 0, 255, 0.6)");
+    polygon.setAttribute("stroke-dasharray", "4 2");
+    svg.appendChild(polygon);
+    document.body.appendChild(svg);
+    return [
+        svg,
+        polygon
+    ];
+}
+function register_selection(scene, plots_to_pick, callback) {
+    if (!is_displayed(scene)) {
+        return ()=>{};
+    }
+    const { canvas  } = scene.screen;
+    let mode = undefined;
+    let path = [];
+    let overlay = undefined;
+    let pointer_id = undefined;
+    function selection_polygon() {
+        if (mode === "rectangle") {
+            const [x0, y0] = path[0];
+            const [x1, y1] = path[path.length - 1];
+            return [
+                [
+                    x0,
+                    y0
+                ],
+                [
+                    x1,
+                    y0
+                ],
+                [
+                    x1,
+                    y1
+                ],
+                [
+                    x0,
+                    y1
+                ]
+            ];
+        }
+        return path;
+    }
+    function resolve_selection(polygon, lasso) {
+        const pixels = polygon.map(([clientX, clientY])=>event2scene_pixel(scene, {
+                clientX,
+                clientY
+            }));
+        const xs = pixels.map((p)=>p[0]);
+        const ys = pixels.map((p)=>p[1]);
+        const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+        const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+        const [width, height] = scene.screen.size;
+        const x1 = Math.min(width, Math.ceil(Math.max(...xs)));
+        const y1 = Math.min(height, Math.ceil(Math.max(...ys)));
+        const w = x1 - x0;
+        const h = y1 - y0;
+        if (w < 1 || h < 1) {
+            return Promise.resolve([]);
+        }
+        return pick_native_async(scene, x0, y0, w, h).then(([plot_data, _])=>{
+            const selected = new Map();
+            plot_data.data.forEach(([plot_uuid, index], i)=>{
+                if (!plot_uuid || !plots_to_pick.has(plot_uuid)) {
+                    return;
+                }
+                const px = x0 + i % w + 0.5;
+                const py = y0 + Math.floor(i / w) + 0.5;
+                if (lasso && !inside_polygon(pixels, px, py)) {
+                    return;
+                }
+                selected.set(`${plot_uuid},${index}`, [
+                    plot_uuid,
+                    index
+                ]);
+            });
+            return [
+                ...selected.values()
+            ];
+        });
+    }
+    function mousedown(event) {
+        if (event.target !== canvas || event.button !== 0) {
+            return;
+        }
+        if (event.shiftKey) {
+            mode = "rectangle";
+        } else if (event.altKey) {
+            mode = "lasso";
+        } else {
+            return;
+        }
+        event.stopPropagation();
+        event.preventDefault();
+        pointer_id = event.pointerId;
+        try {
+            canvas.setPointerCapture(pointer_id);
+        } catch (e) {}
+        path = [
+            [
+                event.clientX,
+                event.clientY
+            ]
+        ];
+        overlay = create_selection_overlay();
+    }
+    function end_selection() {
+        if (canvas.hasPointerCapture(pointer_id)) {
+            canvas.releasePointerCapture(pointer_id);
+        }
+        mode = undefined;
+        pointer_id = undefined;
+        overlay[0].remove();
+        overlay = undefined;
+    }
+    function mousemove(event) {
+        if (!mode || event.pointerId !== pointer_id) {
+            return;
+        }
+        event.stopPropagation();
+        path.push([
+            event.clientX,
+            event.clientY
+        ]);
+        const points = selection_polygon().map((p)=>p.join(",")).join(" ");
+        overlay[1].setAttribute("points", points);
+    }
+    function mouseup(event) {
+        if (!mode || event.pointerId !== pointer_id) {
+            return;
+        }
+        event.stopPropagation();
+        path.push([
+            event.clientX,
+            event.clientY
+        ]);
+        const polygon = selection_polygon();
+        const lasso = mode === "lasso";
+        end_selection();
+        resolve_selection(polygon, lasso).then(callback).catch((e)=>console.warn(e));
+    }
+    function mousecancel(event) {
+        if (!mode || event.pointerId !== pointer_id) {
+            return;
+        }
+        event.stopPropagation();
+        end_selection();
+    }
+    window.addEventListener("pointerdown", mousedown, true);
+    window.addEventListener("pointermove", mousemove, true);
+    window.addEventListener("pointerup", mouseup, true);
+    window.addEventListener("pointercancel", mousecancel, true);
+    return ()=>{
+        if (mode) {
+            end_selection();
+        }
+        window.removeEventListener("pointerdown", mousedown, true);
+        window.removeEventListener("pointermove", mousemove, true);
+        window.removeEventListener("pointerup", mouseup, true);
+        window.removeEventListener("pointercancel", mousecancel, true);
+    };
+}
+function create_overlay_element(style) {
+    const element = document.createElement("div");
+    Object.assign(element.style, {
+        position: "fixed",
+        pointerEvents: "none",
+        zIndex: 1000,
+        display: "none",
+        ...style
+    });
+    document.body.appendChild(element);
+    return element;
+}
+function register_crosshair(scene, precision = 4) {
+    if (!is_displayed(scene)) {
+        return ()=>{};
+    }
+    const { canvas  } = scene.screen;
+    const line = "1px dashed rgba(0, 0, 0, 0.6)";
+    const vline = create_overlay_element({
+        width: "0px",
+        borderLeft: line
+    });
+    const hline = create_overlay_element({
+        height: "0px",
+        borderTop: line
+    });
+    const label = create_overlay_element({
+        background: "rgba(255, 255, 255, 0.8)",
+        font: "12px monospace",
+        padding: "2px 4px"
+    });
+    label.classList.add("crosshair-label");
+    const elements = [
+        vline,
+        hline,
+        label
+    ];
+    function hide() {
+        elements.forEach((element)=>{
+            element.style.display = "none";
+        });
+    }
+    function mousemove(event) {
+        const [x, y] = event2scene_pixel(scene, event);
+        const [sx, sy, sw, sh] = scene.pixelarea.value;
+        if (!(x >= sx && x < sx + sw && y >= sy && y < sy + sh)) {
+            hide();
+            return;
+        }
+        const pixelRatio = scene.screen.pixel_ratio;
+        const rect = canvas.getBoundingClientRect();
+        const left = rect.left + sx / pixelRatio;
+        const top = rect.bottom - (sy + sh) / pixelRatio;
+        const { clientX , clientY  } = event;
+        Object.assign(vline.style, {
+            display: "block",
+            left: `${clientX}px`,
+            top: `${top}px`,
+            height: `${sh / pixelRatio}px`
+        });
+        Object.assign(hline.style, {
+            display: "block",
+            left: `${left}px`,
+            top: `${clientY}px`,
+            width: `${sw / pixelRatio}px`
+        });
+        const position = to_world(scene, x, y);
+        label.innerText = `(${position.x.toPrecision(precision)}, ${position.y.toPrecision(precision)})`;
+        Object.assign(label.style, {
+            display: "block",
+            left: `${clientX + 8}px`,
+            top: `${clientY + 8}px`
+        });
+    }
+    canvas.addEventListener("pointermove", mousemove);
+    canvas.addEventListener("pointerleave", hide);
+    return ()=>{
+        canvas.removeEventListener("pointermove", mousemove);
+        canvas.removeEventListener("pointerleave", hide);
+        elements.forEach((element)=>element.remove());
+    };
+}
+function register_pan_zoom(scene, callback, zoomspeed = 0.1) {
+    if (!is_displayed(scene)) {
+        return ()=>{};
+    }
+    return attach_2d_camera(scene, callback, zoomspeed);
+}
+const WIDGET_CLEANUPS = new Map();
+function add_widget_cleanup(id, cleanup) {
+    WIDGET_CLEANUPS.set(id, cleanup);
+}
+function run_widget_cleanup(id) {
+    const cleanup = WIDGET_CLEANUPS.get(id);
+    if (cleanup) {
+        WIDGET_CLEANUPS.delete(id);
+        cleanup();
+    }
 }
 window.WGL = {
     deserialize_scene,
@@ -21396,15 +23131,37 @@ window.WGL = {
     event2scene_pixel,
     on_next_insert,
     register_popup,
-    render_scene
+    register_hover,
+    register_selection,
+    register_crosshair,
+    register_pan_zoom,
+    add_widget_cleanup,
+    run_widget_cleanup,
+    set_highlight,
+    clear_highlight,
+    render_scene,
+    render_frame,
+    request_render
 };
-export { deserialize_scene as deserialize_scene, threejs_module as threejs_module, start_renderloop as start_renderloop, delete_plots as delete_plots, insert_plot as insert_plot, find_plots as find_plots, delete_scene as delete_scene, find_scene as find_scene, scene_cache as scene_cache, plot_cache as plot_cache, delete_scenes as delete_scenes, create_scene as create_scene, event2scene_pixel as event2scene_pixel, on_next_insert as on_next_insert };
+export { deserialize_scene as deserialize_scene, threejs_module as threejs_module, start_renderloop as start_renderloop, delete_plots as delete_plots, insert_plot as insert_plot, find_plots as find_plots, delete_scene as delete_scene, find_scene as find_scene, scene_cache as scene_cache, plot_cache as plot_cache, delete_scenes as delete_scenes, create_scene as create_scene, event2scene_pixel as event2scene_pixel, on_next_insert as on_next_insert, request_render as request_render };
+export { render_frame as render_frame };
 export { render_scene as render_scene };
 export { wglerror as wglerror };
 export { pick_native as pick_native };
+export { pick_native_async as pick_native_async };
+export { pick_world_position as pick_world_position };
 export { pick_closest as pick_closest };
+export { pick_closest_async as pick_closest_async };
 export { pick_sorted as pick_sorted };
+export { pick_sorted_async as pick_sorted_async };
 export { pick_native_uuid as pick_native_uuid };
 export { pick_native_matrix as pick_native_matrix };
+export { pick_native_matrix_async as pick_native_matrix_async };
 export { register_popup as register_popup };
+export { set_highlight as set_highlight };
+export { clear_highlight as clear_highlight };
+export { register_hover as register_hover };
+export { register_selection as register_selection };
+export { register_crosshair as register_crosshair };
+export { register_pan_zoom as register_pan_zoom };
 
@@ -13,22 +13,198 @@ import {
     scene_cache,
     plot_cache,
     find_scene,
+    request_render,
+    restore_three_scene,
 } from "./Serialization.js";
 
-import { event2scene_pixel } from "./Camera.js";
+import {
+    event2scene_pixel,
+    to_world,
+    unproject,
+    attach_2d_camera,
+} from "./Camera.js";
+import {
+    event_modifiers,
+    wheel_delta_pixels,
+    create_event_queue,
+} from "./Events.mjs";
+import {
+    read_ids,
+    read_ids_async,
+    picking_result,
+    range_region,
+    hits_in_range,
+    closest_hit,
+    sorted_hits,
+    inside_polygon,
+} from "./Picking.mjs";
 
 window.THREE = THREE;
 
-const pixelRatio = window.devicePixelRatio || 1.0;
+function device_pixel_ratio() {
+    return window.devicePixelRatio || 1.0;
+}
 
-export function render_scene(scene, picking = false) {
-    const { camera, renderer } = scene.screen;
-    const canvas = renderer.domElement;
-    if (!document.body.contains(canvas)) {
-        console.log("EXITING WGL");
+/**
+ * Calls `callback` with the new `devicePixelRatio` whenever it changes, e.g. when zooming the page
+ * or moving the window to a screen with a different resolution. Returns a function to stop listening.
+ */
+function watch_pixel_ratio(callback) {
+    let media = undefined;
+    function listen() {
+        // only matches the current ratio, so it fires once the ratio changes
+        media = window.matchMedia(`(resolution: ${device_pixel_ratio()}dppx)`);
+        media.addEventListener("change", on_change, { once: true });
+    }
+    function on_change() {
+        callback(device_pixel_ratio());
+        listen();
+    }
+    listen();
+    return () => media.removeEventListener("change", on_change);
+}
+
+function dispose_three_scene(scene) {
+    const { renderer, picking_target, id_target, context_2d } = scene.screen;
+    scene.screen.remove_window_listeners();
+    scene.screen.disconnect_context_loss();
+    // the shared renderer needs to stay alive for the other figures
+    if (!context_2d) {
         renderer.state.reset();
         renderer.dispose();
-        delete_three_scene(scene);
+    }
+    picking_target.dispose();
+    if (id_target) {
+        id_target.dispose();
+    }
+    delete_three_scene(scene);
+}
+
+/**
+ * On WebGL2, we render into a target with a second (32bit integer) color attachment,
+ * into which all shaders write the object id and the index of the rendered element.
+ * For single pass picking, `pick_native` can then just read the ids of the last frame.
+ */
+function create_id_target(width, height) {
+    const target = new THREE.WebGLMultipleRenderTargets(width, height, 2);
+    const ids = target.texture[1];
+    ids.format = THREE.RGBAIntegerFormat;
+    ids.type = THREE.UnsignedIntType;
+    ids.internalFormat = "RGBA32UI";
+    ids.minFilter = THREE.NearestFilter;
+    ids.magFilter = THREE.NearestFilter;
+    return target;
+}
+
+// `renderer.clear` doesn't work with integer attachments, so we need to clear each attachment on our own
+function clear_id_target(renderer, color) {
+    const gl = renderer.getContext();
+    const { buffers } = renderer.state;
+    buffers.color.setMask(true);
+    buffers.depth.setMask(true);
+    // THREE.Color converts to linear colors, while we render in sRGB
+    const c = new THREE.Color(color).getRGB(
+        new THREE.Color(),
+        THREE.SRGBColorSpace
+    );
+    gl.clearBufferfv(gl.COLOR, 0, [c.r, c.g, c.b, 1]);
+    gl.clearBufferuiv(gl.COLOR, 1, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.DEPTH, 0, [1]);
+}
+
+// Fullscreen quad, to copy the color attachment of the id target into the canvas
+let COPY_PASS = undefined;
+
+// `width` and `height` are the size of the figure in device pixels, which sits in the bottom left of the drawing buffer
+function copy_to_canvas(renderer, texture, width, height) {
+    if (!COPY_PASS) {
+        const material = new THREE.RawShaderMaterial({
+            uniforms: { color_buffer: new THREE.Uniform(null) },
+            vertexShader: `
+                in vec3 position;
+                void main() {
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }`,
+            fragmentShader: `
+                precision mediump float;
+                uniform sampler2D color_buffer;
+                out vec4 fragment_color;
+                void main() {
+                    fragment_color = texelFetch(color_buffer, ivec2(gl_FragCoord.xy), 0);
+                }`,
+            glslVersion: THREE.GLSL3,
+            depthTest: false,
+            depthWrite: false,
+        });
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        mesh.frustumCulled = false;
+        const scene = new THREE.Scene();
+        scene.add(mesh);
+        COPY_PASS = { scene, material, camera: new THREE.Camera() };
+    }
+    const { scene, material, camera } = COPY_PASS;
+    material.uniforms.color_buffer.value = texture;
+    // THREE multiplies the viewport with the pixel ratio again
+    const pixelRatio = renderer.getPixelRatio();
+    renderer.setViewport(0, 0, width / pixelRatio, height / pixelRatio);
+    renderer.setScissorTest(false);
+    renderer.autoClear = false;
+    renderer.render(scene, camera);
+}
+
+/**
+ * Renders the whole scene tree of a figure into its canvas.
+ */
+export function render_frame(three_scene) {
+    const { renderer, canvas, context_2d, id_target } = three_scene.screen;
+    if (context_2d) {
+        // The shared renderer only ever grows, so that figures of different sizes don't reallocate
+        // its drawing buffer every frame. Each figure renders into the bottom left corner of it.
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (size.x < canvas.width || size.y < canvas.height) {
+            const pixelRatio = renderer.getPixelRatio();
+            renderer.setSize(
+                Math.ceil(Math.max(size.x, canvas.width) / pixelRatio),
+                Math.ceil(Math.max(size.y, canvas.height) / pixelRatio),
+                false
+            );
+        }
+    }
+    let rendered;
+    if (id_target) {
+        // Picking reads the ids of the last frame, so the id target needs to follow the canvas size.
+        // Every figure has its own id target, so this only happens when the figure gets resized.
+        if (id_target.width !== canvas.width || id_target.height !== canvas.height) {
+            id_target.setSize(canvas.width, canvas.height);
+        }
+        renderer.setRenderTarget(id_target);
+        rendered = render_scene(three_scene);
+        renderer.setRenderTarget(null);
+        if (rendered) {
+            copy_to_canvas(renderer, id_target.texture[0], canvas.width, canvas.height);
+        }
+    } else {
+        rendered = render_scene(three_scene);
+    }
+    if (context_2d && rendered) {
+        // the bottom left corner of the drawing buffer, in DOM coordinates with y going down
+        const source = renderer.domElement;
+        const { width, height } = canvas;
+        context_2d.globalCompositeOperation = "copy";
+        context_2d.drawImage(source, 0, source.height - height, width, height, 0, 0, width, height);
+    }
+    return rendered;
+}
+
+/**
+ * Renders `scene` and all its children into the current render target.
+ * `origin` is the pixel of the canvas, that ends up at the bottom left of the render target,
+ * which allows to only render a region of the canvas into a smaller target (e.g. for picking).
+ */
+export function render_scene(scene, picking = false, origin = [0, 0]) {
+    const { camera, renderer, canvas } = scene.screen;
+    if (!document.body.contains(canvas)) {
+        // the renderloop notices this as well and disposes the scene in `stop`
         return false;
     }
     // dont render invisible scenes
@@ -38,9 +214,16 @@ export function render_scene(scene, picking = false) {
     renderer.autoClear = scene.clearscene.value;
     const area = scene.pixelarea.value;
     if (area) {
-        const [x, y, w, h] = area.map((t) => t / pixelRatio);
-        renderer.setViewport(x, y, w, h);
-        renderer.setScissor(x, y, w, h);
+        // Our cameras are just uniforms, so instead of giving the camera a view offset,
+        // we move the viewport by `origin`
+        const [x, y, w, h] = area;
+        const [ox, oy] = origin;
+        // THREE multiplies the viewport with the pixel ratio of the renderer again. The picking target has
+        // Julia's pixels, while the drawing buffer is scaled by `pixel_ratio`, see `create_scene`
+        const pixelRatio = picking ? renderer.getPixelRatio() : scene.screen.pixel_ratio;
+        const viewport = [x - ox, y - oy, w, h].map((t) => t / pixelRatio);
+        renderer.setViewport(...viewport);
+        renderer.setScissor(...viewport);
         renderer.setScissorTest(true);
         if (picking) {
             renderer.setClearAlpha(0);
@@ -48,32 +231,122 @@ export function render_scene(scene, picking = false) {
         } else {
             renderer.setClearColor(scene.backgroundcolor.value);
         }
+        const target = renderer.getRenderTarget();
+        if (target && target.isWebGLMultipleRenderTargets) {
+            if (scene.clearscene.value) {
+                clear_id_target(renderer, scene.backgroundcolor.value);
+            }
+            renderer.autoClear = false;
+        }
         renderer.render(scene, camera);
     }
-    return scene.scene_children.every((x) => render_scene(x, picking));
+    return scene.scene_children.every((x) =>
+        render_scene(x, picking, origin)
+    );
 }
 
+/**
+ * Starts the renderloop for `three_scene` and returns an object with
+ * `pause`, `resume` and `stop`, to control it.
+ * The loop also pauses itself while the tab is hidden or the canvas is scrolled out of view.
+ */
 function start_renderloop(three_scene) {
     // extract the first scene for screen, which should be shared by all scenes!
-    const { fps } = three_scene.screen;
+    const { screen } = three_scene;
+    const { fps, render_on_demand, canvas } = screen;
     const time_per_frame = (1 / fps) * 1000; // default is 30 fps
     // make sure we immediately render the first frame and dont wait 30ms
     let last_time_stamp = performance.now();
+    // The loop only runs if there is no reason to pause, e.g. "user", "hidden" or "offscreen"
+    const pause_reasons = new Set();
+    let frame_id = undefined;
+    let stopped = false;
+
     function renderloop(timestamp) {
+        frame_id = undefined;
+        if (!document.body.contains(canvas)) {
+            // canvas is not displayed anymore
+            // - time to quit the renderin' business
+            stop();
+            return;
+        }
         if (timestamp - last_time_stamp > time_per_frame) {
-            const all_rendered = render_scene(three_scene);
-            if (!all_rendered) {
-                // if scenes don't render it means they're not displayed anymore
-                // - time to quit the renderin' business
-                return;
+            // With render_on_demand, we only render when something requested it via `request_render`
+            if (!render_on_demand || screen.requires_update) {
+                screen.requires_update = false;
+                render_frame(three_scene);
             }
             last_time_stamp = performance.now();
         }
-        window.requestAnimationFrame(renderloop);
+        schedule_frame();
+    }
+
+    function schedule_frame() {
+        if (stopped || pause_reasons.size > 0 || frame_id !== undefined) {
+            return;
+        }
+        frame_id = window.requestAnimationFrame(renderloop);
+    }
+
+    function pause(reason = "user") {
+        pause_reasons.add(reason);
+        if (frame_id !== undefined) {
+            window.cancelAnimationFrame(frame_id);
+            frame_id = undefined;
+        }
+    }
+
+    function resume(reason = "user") {
+        pause_reasons.delete(reason);
+        schedule_frame();
+    }
+
+    function on_visibility_change() {
+        if (document.hidden) {
+            pause("hidden");
+        } else {
+            resume("hidden");
+        }
+    }
+    document.addEventListener("visibilitychange", on_visibility_change);
+
+    let observer = undefined;
+    if ("IntersectionObserver" in window) {
+        observer = new IntersectionObserver((entries) => {
+            if (!document.body.contains(canvas)) {
+                stop();
+                return;
+            }
+            // we only observe the canvas, so the last entry is the most recent state
+            if (entries[entries.length - 1].isIntersecting) {
+                resume("offscreen");
+            } else {
+                pause("offscreen");
+            }
+        });
+        observer.observe(canvas);
+    }
+
+    function stop() {
+        if (stopped) {
+            return;
+        }
+        pause("stopped");
+        stopped = true;
+        document.removeEventListener("visibilitychange", on_visibility_change);
+        if (observer) {
+            observer.disconnect();
+        }
+        console.log("EXITING WGL");
+        dispose_three_scene(three_scene);
     }
+
     // render one time before starting loop, so that we don't wait 30ms before first render
-    render_scene(three_scene);
-    renderloop();
+    render_frame(three_scene);
+    screen.requires_update = false;
+    on_visibility_change();
+    schedule_frame();
+    return { pause, resume, stop };
 }
 
 // from: https://www.geeksforgeeks.org/javascript-throttling/
@@ -202,20 +475,12 @@ function on_shader_error(gl, program, glVertexShader, glFragmentShader) {
     JSServe.Connection.send_warning(err);
 }
 
-function threejs_module(canvas, comm, width, height, resize_to_body) {
-    let context = canvas.getContext("webgl2", {
+function create_renderer(canvas) {
+    // All shaders use GLSL 3.0 and picking needs integer render targets, so there's no WebGL 1.0 fallback
+    const context = canvas.getContext("webgl2", {
         preserveDrawingBuffer: true,
     });
     if (!context) {
-        console.warn(
-            "WebGL 2.0 not supported by browser, falling back to WebGL 1.0 (Volume plots will not work)"
-        );
-        context = canvas.getContext("webgl", {
-            preserveDrawingBuffer: true,
-        });
-    }
-    if (!context) {
-        // Sigh, safari or something
         // we return nothing which will be handled by caller
         return;
     }
@@ -231,44 +496,204 @@ function threejs_module(canvas, comm, width, height, resize_to_body) {
     renderer.setClearColor("#ffffff");
 
     // The following handles high-DPI devices
-    // `renderer.setSize` also updates `canvas` size
-    renderer.setPixelRatio(pixelRatio);
-    renderer.setSize(width / pixelRatio, height / pixelRatio);
+    renderer.setPixelRatio(device_pixel_ratio());
+    return renderer;
+}
 
-    const mouse_callback = (x, y) => comm.notify({ mouseposition: [x, y] });
-    const notify_mouse_throttled = throttle_function(mouse_callback, 40);
+// Browsers only allow a limited number of live WebGL contexts per page,
+// so with `shared_context` all figures render with this one renderer into a hidden canvas,
+// and copy the result into their own 2D canvas.
+let SHARED_RENDERER = undefined;
 
-    function mousemove(event) {
+function get_shared_renderer() {
+    if (!SHARED_RENDERER) {
+        SHARED_RENDERER = create_renderer(document.createElement("canvas"));
+    }
+    return SHARED_RENDERER;
+}
+
+/**
+ * `width` and `height` are in Julia's pixels, which have a fixed size in CSS pixels (`pixel_ratio`, see `create_scene`).
+ * The drawing buffer follows the pixel ratio of the renderer instead, which is the current `devicePixelRatio`.
+ */
+function set_canvas_size(renderer, canvas, width, height, pixel_ratio) {
+    const css_width = width / pixel_ratio;
+    const css_height = height / pixel_ratio;
+    if (renderer.domElement === canvas) {
+        // `renderer.setSize` also updates `canvas` size
+        renderer.setSize(css_width, css_height);
+    } else {
+        // the shared renderer only gets resized right before rendering into it
+        const pixelRatio = renderer.getPixelRatio();
+        canvas.width = Math.floor(css_width * pixelRatio);
+        canvas.height = Math.floor(css_height * pixelRatio);
+        canvas.style.width = `${css_width}px`;
+        canvas.style.height = `${css_height}px`;
+    }
+}
+
+// Outline for keyboard focus, which browsers don't show for a canvas by default
+const FOCUS_STYLE = `
+canvas.wglmakie-canvas:focus {
+    outline: none;
+}
+canvas.wglmakie-canvas:focus-visible {
+    outline: 2px solid #4a90e2;
+    outline-offset: -2px;
+}
+`;
+
+function make_focusable(canvas) {
+    if (!document.getElementById("wglmakie-focus-style")) {
+        const style = document.createElement("style");
+        style.id = "wglmakie-focus-style";
+        style.textContent = FOCUS_STYLE;
+        document.head.appendChild(style);
+    }
+    canvas.classList.add("wglmakie-canvas");
+    if (!canvas.hasAttribute("tabindex")) {
+        canvas.tabIndex = 0;
+    }
+    canvas.addEventListener("pointerdown", () =>
+        canvas.focus({ preventScroll: true })
+    );
+}
+
+function threejs_module(
+    canvas,
+    comm,
+    width,
+    height,
+    resize_to_body,
+    shared_context = false,
+    event_rate = 30
+) {
+    const renderer = shared_context
+        ? get_shared_renderer()
+        : create_renderer(canvas);
+    if (!renderer) {
+        return {};
+    }
+    const pixel_ratio = device_pixel_ratio();
+    set_canvas_size(renderer, canvas, width, height, pixel_ratio);
+
+    // all input events get sent to Julia in batches, see `create_event_queue`
+    const send_event = create_event_queue(comm, event_rate);
+    const mouse_callback = (x, y, modifiers) =>
+        send_event({ mouseposition: [x, y], modifiers });
+
+    function canvas_pixel(clientX, clientY) {
         var rect = canvas.getBoundingClientRect();
-        var x = (event.clientX - rect.left) * pixelRatio;
-        var y = (event.clientY - rect.top) * pixelRatio;
+        var x = (clientX - rect.left) * pixel_ratio;
+        var y = (clientY - rect.top) * pixel_ratio;
+        return [x, y];
+    }
+
+    // We use pointer events, so that touches get forwarded to Julia like the mouse.
+    // Only the primary pointer moves the mouse, and pinching with two fingers scrolls.
+    const touches = new Map();
+    let pinch_distance = undefined;
+
+    function touch_pinch() {
+        const [[x1, y1], [x2, y2]] = [...touches.values()];
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        return [(x1 + x2) / 2, (y1 + y2) / 2, distance];
+    }
 
-        notify_mouse_throttled(x, y);
+    function mousemove(event) {
+        if (touches.has(event.pointerId)) {
+            touches.set(event.pointerId, [event.clientX, event.clientY]);
+            if (touches.size == 2) {
+                const [x, y, distance] = touch_pinch();
+                const modifiers = event_modifiers(event);
+                mouse_callback(...canvas_pixel(x, y), modifiers);
+                // scroll like one step of a mouse wheel (100 pixels), for every 20 pixels the fingers move apart or together
+                const delta = distance - pinch_distance;
+                if (Math.abs(delta) > 20) {
+                    send_event({ scroll: [0, Math.sign(delta) * 100], modifiers });
+                    pinch_distance = distance;
+                }
+                return false;
+            }
+        }
+        if (!event.isPrimary) {
+            return false;
+        }
+        const modifiers = event_modifiers(event);
+        mouse_callback(
+            ...canvas_pixel(event.clientX, event.clientY),
+            modifiers
+        );
+        // pressing another mouse button while one is already pressed, doesn't create a pointerdown
+        if (event.button !== -1) {
+            // event.button -> mask of the button in event.buttons
+            const mask = [1, 4, 2, 8, 16][event.button];
+            const { button } = event;
+            if (event.buttons & mask) {
+                send_event({ mousedown: { button }, modifiers });
+            } else {
+                send_event({ mouseup: { button }, modifiers });
+            }
+        }
         return false;
     }
 
-    canvas.addEventListener("mousemove", mousemove);
+    canvas.addEventListener("pointermove", mousemove);
 
     function mousedown(event) {
-        comm.notify({
-            mousedown: event.buttons,
+        if (event.pointerType === "touch") {
+            touches.set(event.pointerId, [event.clientX, event.clientY]);
+            if (touches.size == 2) {
+                // the second finger starts a pinch, so we release the "mouse" of the first one
+                pinch_distance = touch_pinch()[2];
+                send_event({
+                    mouseup: { button: 0 },
+                    modifiers: event_modifiers(event),
+                });
+                return false;
+            }
+            // touches don't hover, so Julia needs to know where we start pressing
+            mouse_callback(
+                ...canvas_pixel(event.clientX, event.clientY),
+                event_modifiers(event)
+            );
+        }
+        if (!event.isPrimary) {
+            return false;
+        }
+        send_event({
+            mousedown: { button: event.button },
+            modifiers: event_modifiers(event),
         });
         return false;
     }
-    canvas.addEventListener("mousedown", mousedown);
+    canvas.addEventListener("pointerdown", mousedown);
 
     function mouseup(event) {
-        comm.notify({
-            mouseup: event.buttons,
+        touches.delete(event.pointerId);
+        if (touches.size < 2) {
+            pinch_distance = undefined;
+        }
+        if (!event.isPrimary) {
+            return false;
+        }
+        send_event({
+            mouseup: { button: event.button },
+            modifiers: event_modifiers(event),
         });
         return false;
     }
 
-    canvas.addEventListener("mouseup", mouseup);
+    canvas.addEventListener("pointerup", mouseup);
+    canvas.addEventListener("pointercancel", mouseup);
+    // we handle touch gestures ourselves, instead of letting the browser scroll or zoom the page
+    canvas.style.touchAction = "none";
 
     function wheel(event) {
-        comm.notify({
-            scroll: [event.deltaX, -event.deltaY],
+        const [dx, dy] = wheel_delta_pixels(event);
+        send_event({
+            scroll: [dx, -dy],
+            modifiers: event_modifiers(event),
         });
         event.preventDefault();
         return false;
@@ -276,8 +701,9 @@ function threejs_module(canvas, comm, width, height, resize_to_body) {
     canvas.addEventListener("wheel", wheel);
 
     function keydown(event) {
-        comm.notify({
-            keydown: event.code,
+        send_event({
+            keydown: { key: event.key, code: event.code, repeat: event.repeat },
+            modifiers: event_modifiers(event),
         });
         return false;
     }
@@ -285,28 +711,42 @@ function threejs_module(canvas, comm, width, height, resize_to_body) {
     canvas.addEventListener("keydown", keydown);
 
     function keyup(event) {
-        comm.notify({
-            keyup: event.code,
+        send_event({
+            keyup: { key: event.key, code: event.code, repeat: false },
+            modifiers: event_modifiers(event),
         });
         return false;
     }
 
     canvas.addEventListener("keyup", keyup);
-    // This is a pretty ugly work around......
-    // so on keydown, we add the key to the currently pressed keys set
-    // if we open the contextmenu before releasing the key, we'll never
-    // receive an up event, so the key will stay inside the currently_pressed
-    // set... Only option I found is to actually listen to the contextmenu
-    // and remove all keys if its opened.
-    function contextmenu(event) {
-        comm.notify({
-            keyup: "delete_keys",
+
+    canvas.addEventListener("pointerenter", () =>
+        send_event({ entered_window: true })
+    );
+    canvas.addEventListener("pointerleave", () =>
+        send_event({ entered_window: false })
+    );
+    // Once we lose the focus (e.g. by opening the contextmenu), we won't get the keyup events
+    // of the currently pressed keys anymore, so Julia releases all keys on blur
+    canvas.addEventListener("focus", () => send_event({ hasfocus: true }));
+    canvas.addEventListener("blur", () => send_event({ hasfocus: false }));
+
+    function dblclick(event) {
+        send_event({
+            dblclick: {
+                position: canvas_pixel(event.clientX, event.clientY),
+                button: event.button,
+            },
+            modifiers: event_modifiers(event),
         });
         return false;
     }
+    canvas.addEventListener("dblclick", dblclick);
 
     canvas.addEventListener("contextmenu", (e) => e.preventDefault());
-    canvas.addEventListener("focusout", contextmenu);
+
+    // Key events only arrive if the canvas has the focus
+    make_focusable(canvas);
 
     function resize_callback() {
         const bodyStyle = window.getComputedStyle(document.body);
@@ -321,25 +761,67 @@ function threejs_module(canvas, comm, width, height, resize_to_body) {
             parseInt(bodyStyle.paddingBottom, 10) +
             parseInt(bodyStyle.marginTop, 10) +
             parseInt(bodyStyle.marginBottom, 10);
-        const width = (window.innerWidth - width_padding) * pixelRatio;
-        const height = (window.innerHeight - height_padding) * pixelRatio;
+        const width = (window.innerWidth - width_padding) * pixel_ratio;
+        const height = (window.innerHeight - height_padding) * pixel_ratio;
 
         // Send the resize event to Julia
         comm.notify({ resize: [width, height] });
     }
+    // removes the window listeners of `resize_to_body` once the scene gets disposed
+    let remove_resize_listeners = () => {};
     if (resize_to_body) {
         const resize_callback_throttled = throttle_function(
             resize_callback,
             100
         );
-        window.addEventListener("resize", (event) =>
-            resize_callback_throttled()
-        );
+        // zooming the page changes the size of the window in CSS pixels, so it resizes as well
+        const on_resize = (event) => resize_callback_throttled();
+        window.addEventListener("resize", on_resize);
+        remove_resize_listeners = () =>
+            window.removeEventListener("resize", on_resize);
         // Fire the resize event once at the start to auto-size our window
         resize_callback_throttled();
     }
 
-    return renderer;
+    return { renderer, pixel_ratio, remove_resize_listeners };
+}
+
+/**
+ * THREE already re-initializes its WebGL state once a lost context gets restored,
+ * we just need to pause rendering in between, rebuild our own GPU resources and tell Julia about it.
+ * Returns a function to remove the listeners again, see `dispose_three_scene`.
+ */
+function connect_context_loss(three_scene, comm) {
+    const { screen } = three_scene;
+    // with a shared context, this is the hidden canvas of the shared renderer,
+    // which outlives the figure
+    const canvas = screen.renderer.domElement;
+    function on_context_lost(event) {
+        // signals the browser, that we want to get the context restored
+        event.preventDefault();
+        screen.pause("context_lost");
+        comm.notify({ context_lost: true });
+    }
+    function on_context_restored() {
+        // the render targets lost their framebuffers with the old context
+        screen.picking_target.dispose();
+        screen.picking_target = create_picking_target();
+        if (screen.id_target) {
+            const { width, height } = screen.id_target;
+            screen.id_target.dispose();
+            screen.id_target = create_id_target(width, height);
+        }
+        const missing_plots = restore_three_scene(three_scene);
+        request_render(screen);
+        screen.resume("context_lost");
+        comm.notify({ context_restored: missing_plots });
+    }
+    canvas.addEventListener("webglcontextlost", on_context_lost);
+    canvas.addEventListener("webglcontextrestored", on_context_restored);
+    return () => {
+        canvas.removeEventListener("webglcontextlost", on_context_lost);
+        canvas.removeEventListener("webglcontextrestored", on_context_restored);
+    };
 }
 
 function create_scene(
@@ -352,218 +834,229 @@ function create_scene(
     height,
     texture_atlas_obs,
     fps,
-    resize_to_body
+    resize_to_body,
+    render_on_demand,
+    shared_context,
+    single_pass_picking,
+    event_rate
 ) {
-    const renderer = threejs_module(
+    const { renderer, pixel_ratio, remove_resize_listeners } = threejs_module(
         canvas,
         comm,
         width,
         height,
-        resize_to_body
+        resize_to_body,
+        shared_context,
+        event_rate
     );
     TEXTURE_ATLAS[0] = texture_atlas_obs;
 
-    if (renderer) {
-        const camera = new THREE.PerspectiveCamera(45, 1, 0, 100);
-        camera.updateProjectionMatrix();
-        const size = new THREE.Vector2();
-        renderer.getDrawingBufferSize(size);
-        // BIG TODO here...
-        // We should only make the picking target as big as the area we're picking
-        // e.g. for just the mouse position it should be 1x1
-        // Or we should just always bind the target and render to it in one pass
-        // 1) One Pass:
-        //      Only works on WebGL 2.0, which is still not as widely supported
-        //      Also it's a bit more complicated to setup
-        // 2) Only Area we pick
-        //      It's currently not as easy to change the offset + area of the camera
-        //      So, we'll need to make that easier first
-        const picking_target = new THREE.WebGLRenderTarget(size.x, size.y);
-        const screen = { renderer, picking_target, camera, fps, canvas };
-
-        const three_scene = deserialize_scene(scenes, screen);
-        console.log(three_scene);
-        start_renderloop(three_scene);
-
-        canvas_width.on((w_h) => {
-            // `renderer.setSize` correctly updates `canvas` dimensions
-            const pixelRatio = renderer.getPixelRatio();
-            renderer.setSize(w_h[0] / pixelRatio, w_h[1] / pixelRatio);
-        });
-    } else {
+    if (!renderer) {
         const warning = getWebGLErrorMessage();
         // wrapper.removeChild(canvas)
         wrapper.appendChild(warning);
+        throw new Error("WGLMakie needs WebGL 2.0, which isn't available in this browser");
     }
-    return renderer;
+    const camera = new THREE.PerspectiveCamera(45, 1, 0, 100);
+    camera.updateProjectionMatrix();
+    // The picking target only gets as big as the area we're picking,
+    // so it gets resized in `pick_native`
+    const picking_target = create_picking_target();
+    // With single pass picking, we don't need to render again for picking
+    const id_target = single_pass_picking
+        ? create_id_target(canvas.width, canvas.height)
+        : undefined;
+    const screen = {
+        renderer,
+        picking_target,
+        id_target,
+        camera,
+        fps,
+        canvas,
+        // Julia's pixels per CSS pixel. It's the `devicePixelRatio` when the figure gets created and stays fixed,
+        // so that zooming the page scales the figure like the rest of the page.
+        pixel_ratio,
+        // the size of the figure in Julia's pixels, the drawing buffer of `canvas` follows the `devicePixelRatio`
+        size: [width, height],
+        // only set with a shared renderer, which renders into a different canvas
+        context_2d: shared_context ? canvas.getContext("2d") : undefined,
+        render_on_demand,
+        requires_update: true,
+        // gets incremented for each inserted plot, see `add_plot`
+        last_object_id: 0,
+    };
+    // The figure keeps its size in CSS pixels, only the drawing buffer gets rescaled, so that it stays sharp
+    const unwatch_pixel_ratio = watch_pixel_ratio((pixelRatio) => {
+        renderer.setPixelRatio(pixelRatio);
+        set_canvas_size(renderer, canvas, ...screen.size, pixel_ratio);
+        request_render(screen);
+    });
+    screen.remove_window_listeners = () => {
+        unwatch_pixel_ratio();
+        remove_resize_listeners();
+    };
+
+    const three_scene = deserialize_scene(scenes, screen);
+    console.log(three_scene);
+    screen.disconnect_context_loss = connect_context_loss(three_scene, comm);
+    // expose pause/resume/stop for the renderloop
+    Object.assign(screen, start_renderloop(three_scene));
+
+    canvas_width.on((w_h) => {
+        screen.size = w_h;
+        set_canvas_size(renderer, canvas, w_h[0], w_h[1], pixel_ratio);
+        request_render(screen);
+    });
+    return screen;
 }
 
-function set_picking_uniforms(
-    scene,
-    last_id,
-    picking,
-    picked_plots,
-    plots,
-    id_to_plot
-) {
-    scene.children.forEach((plot, index) => {
+function set_picking_uniforms(scene, picking) {
+    // the object ids are unique per screen already, see `add_plot`
+    scene.children.forEach((plot) => {
         const { material } = plot;
-        const { uniforms } = material;
-        if (picking) {
-            uniforms.object_id.value = last_id + index;
-            uniforms.picking.value = true;
-            material.blending = THREE.NoBlending;
-        } else {
-            // clean up after picking
-            uniforms.picking.value = false;
-            material.blending = THREE.NormalBlending;
-            // we also collect the picked/matched plots as part of the clean up
-            const id = uniforms.object_id.value;
-            if (id in picked_plots) {
-                plots.push([plot, picked_plots[id]]);
-                id_to_plot[id] = plot; // create mapping from id to plot at the same time
-            }
-        }
+        material.uniforms.picking.value = picking;
+        material.blending = picking ? THREE.NoBlending : THREE.NormalBlending;
     });
-    let next_id = last_id + scene.children.length;
     scene.scene_children.forEach((scene) => {
-        next_id = set_picking_uniforms(
-            scene,
-            next_id,
-            picking,
-            picked_plots,
-            plots,
-            id_to_plot
-        );
+        set_picking_uniforms(scene, picking);
     });
-    return next_id;
 }
 
-export function pick_native(scene, x, y, w, h) {
+// Maps the object id of every plot in `scene` and its child scenes to the plot, in render order
+function plots_by_id(scene, id_to_plot = new Map()) {
+    scene.children.forEach((plot) => {
+        id_to_plot.set(plot.material.uniforms.object_id.value, plot);
+    });
+    scene.scene_children.forEach((scene) => {
+        plots_by_id(scene, id_to_plot);
+    });
+    return id_to_plot;
+}
+
+// We read 32bit ids from the integer attachment of an id target, see `create_id_target`
+function create_picking_target() {
+    // gets resized to the picked area in `render_picking`
+    return create_id_target(1, 1);
+}
+
+/**
+ * Renders the picked region with all plots in picking mode into the picking target.
+ * Returns the mapping from object id to plot, for the plots that got rendered.
+ */
+function render_picking(scene, x, y, w, h) {
     const { renderer, picking_target } = scene.screen;
-    // render the scene
+    // only render the area we pick, into a target that has the size of the area
+    if (picking_target.width !== w || picking_target.height !== h) {
+        picking_target.setSize(w, h);
+    }
     renderer.setRenderTarget(picking_target);
-    set_picking_uniforms(scene, 1, true);
-    render_scene(scene, true);
+    // Not all scenes may cover the area, so we need to clear everything from the last pick
+    renderer.setScissorTest(false);
+    renderer.setClearColor(new THREE.Color(0), 0.0);
+    clear_id_target(renderer, "#000000");
+    set_picking_uniforms(scene, true);
+    render_scene(scene, true, [x, y]);
+    set_picking_uniforms(scene, false);
     renderer.setRenderTarget(null); // reset render target
+    return plots_by_id(scene);
+}
 
-    const nbytes = w * h * 4;
-    const pixel_bytes = new Uint8Array(nbytes);
-    //read the pixel
-    renderer.readRenderTargetPixels(
-        picking_target,
-        x, // x
-        y, // y
-        w, // width
-        h, // height
-        pixel_bytes
-    );
-    const picked_plots = {};
-    const picked_plots_array = [];
-
-    const reinterpret_view = new DataView(pixel_bytes.buffer);
-
-    for (let i = 0; i < pixel_bytes.length / 4; i++) {
-        const id = reinterpret_view.getUint16(i * 4);
-        const index = reinterpret_view.getUint16(i * 4 + 2);
-        picked_plots_array.push([id, index]);
-        picked_plots[id] = index;
-    }
-    // dict of plot_uuid => primitive_index (e.g. instance id or triangle index)
-    const plots = [];
-    const id_to_plot = {};
-    set_picking_uniforms(scene, 0, false, picked_plots, plots, id_to_plot);
-    const picked_plots_matrix = picked_plots_array.map(([id, index]) => {
-        const p = id_to_plot[id];
-        return [p ? p.plot_uuid : null, index];
-    });
-    const plot_matrix = { data: picked_plots_matrix, size: [w, h] };
+// The ids of the last frame only line up with Julia's pixels, as long as the page isn't zoomed, see `create_scene`
+function last_frame_pickable(screen) {
+    const { renderer, id_target, pixel_ratio } = screen;
+    return id_target && renderer.getPixelRatio() === pixel_ratio;
+}
 
-    return [plot_matrix, plots];
+export function pick_native(scene, x, y, w, h) {
+    const { renderer, picking_target, id_target } = scene.screen;
+    // with single pass picking, we can just read the ids of the last frame
+    if (last_frame_pickable(scene.screen)) {
+        const ids = read_ids(renderer, id_target, x, y, w, h);
+        return picking_result(ids, plots_by_id(scene), w, h);
+    }
+    const id_to_plot = render_picking(scene, x, y, w, h);
+    const ids = read_ids(renderer, picking_target, 0, 0, w, h);
+    return picking_result(ids, id_to_plot, w, h);
 }
 
-export function pick_closest(scene, xy, range) {
-    const { picking_target } = scene.screen;
-    const { width, height } = picking_target;
-
-    if (!(1.0 <= xy[0] <= width && 1.0 <= xy[1] <= height)) {
-        return [null, 0];
-    }
-
-    const x0 = Math.max(1, xy[0] - range);
-    const y0 = Math.max(1, xy[1] - range);
-    const x1 = Math.min(width, Math.floor(xy[0] + range));
-    const y1 = Math.min(height, Math.floor(xy[1] + range));
-    const dx = x1 - x0;
-    const dy = y1 - y0;
-    const [plot_data, _] = pick_native(scene, x0, y0, dx, dy);
-    const plot_matrix = plot_data.data;
-    let min_dist = range ^ 2;
-    let selection = [null, 0];
-    const x = xy[0] + 1 - x0;
-    const y = xy[1] + 1 - y0;
-    let pindex = 0;
-    for (let i = 1; i <= dx; i++) {
-        for (let j = 1; j <= dx; j++) {
-            const d = (x - i) ^ (2 + (y - j)) ^ 2;
-            const [plot_uuid, index] = plot_matrix[pindex];
-            pindex = pindex + 1;
-            if (d < min_dist && plot_uuid) {
-                min_dist = d;
-                selection = [plot_uuid, index];
-            }
-        }
+// Returns a Promise of the ids of all picked pixels, and the mapping from id to plot
+function pick_ids_async(scene, x, y, w, h) {
+    const { renderer, picking_target, id_target } = scene.screen;
+    if (last_frame_pickable(scene.screen)) {
+        const id_to_plot = plots_by_id(scene);
+        return read_ids_async(renderer, id_target, x, y, w, h).then((ids) => [
+            ids,
+            id_to_plot,
+        ]);
     }
-    return selection;
+    const id_to_plot = render_picking(scene, x, y, w, h);
+    return read_ids_async(renderer, picking_target, 0, 0, w, h).then((ids) => [
+        ids,
+        id_to_plot,
+    ]);
 }
 
-export function pick_sorted(scene, xy, range) {
-    const { picking_target } = scene.screen;
-    const { width, height } = picking_target;
-
-    if (!(1.0 <= xy[0] <= width && 1.0 <= xy[1] <= height)) {
-        return null;
-    }
-
-    const x0 = Math.max(1, xy[0] - range);
-    const y0 = Math.max(1, xy[1] - range);
-    const x1 = Math.min(width, Math.floor(xy[0] + range));
-    const y1 = Math.min(height, Math.floor(xy[1] + range));
-
-    const dx = x1 - x0;
-    const dy = y1 - y0;
-    const [plot_data, selected] = pick_native(scene, x0, y0, dx, dy);
-    if (selected.length == 0) {
-        return null;
-    }
-
-    const plot_matrix = plot_data.data;
-    const distances = selected.map((x) => range ^ 2);
-    const x = xy[0] + 1 - x0;
-    const y = xy[1] + 1 - y0;
-    let pindex = 0;
-    for (let i = 1; i <= dx; i++) {
-        for (let j = 1; j <= dx; j++) {
-            const d = (x - i) ^ (2 + (y - j)) ^ 2;
-            const [plot_uuid, index] = plot_matrix[pindex];
-            pindex = pindex + 1;
-            const plot_index = selected.findIndex(
-                (x) => x[0].plot_uuid == plot_uuid
-            );
-            if (plot_index >= 0 && d < distances[plot_index]) {
-                distances[plot_index] = d;
-            }
+/**
+ * Same as `pick_native`, but returns a Promise and doesn't block until the GPU has rendered the
+ * picked region.
+ */
+export function pick_native_async(scene, x, y, w, h) {
+    return pick_ids_async(scene, x, y, w, h).then(([ids, id_to_plot]) =>
+        picking_result(ids, id_to_plot, w, h)
+    );
+}
+
+/**
+ * Picks the plot element at the pixel `[x, y]` and returns a Promise of `[plot_uuid, index, position]`,
+ * with `position` being the point (`THREE.Vector3`) on the surface of the element in the data space of the plot.
+ * It gets computed from the depth the shaders write for picking, so it resolves to `null`
+ * without a hit. Note, that transform functions (e.g. log scales) don't get inverted.
+ */
+export function pick_world_position(scene, x, y) {
+    return pick_ids_async(scene, x, y, 1, 1).then(([ids, id_to_plot]) => {
+        const [id, index, depth] = ids[0];
+        const plot = id_to_plot.get(id);
+        if (!plot || depth === undefined) {
+            return null;
         }
+        return [plot.plot_uuid, index, unproject(plot, x, y, depth)];
+    });
+}
+
+// Picks all elements within `range` pixels around `xy`, see `hits_in_range`
+function pick_in_range(scene, xy, range) {
+    const region = range_region(scene, xy, range);
+    if (!region) {
+        return [];
     }
+    const [plot_data, _] = pick_native(scene, ...region);
+    return hits_in_range(plot_data, region, xy, range);
+}
 
-    const sorted_indices = Array.from(Array(distances.length).keys()).sort(
-        (a, b) =>
-            distances[a] < distances[b] ? -1 : (distances[b] < distances[a]) | 0
+function pick_in_range_async(scene, xy, range) {
+    const region = range_region(scene, xy, range);
+    if (!region) {
+        return Promise.resolve([]);
+    }
+    return pick_native_async(scene, ...region).then(([plot_data, _]) =>
+        hits_in_range(plot_data, region, xy, range)
     );
-    return sorted_indices.map((idx) => {
-        const [plot, index] = selected[idx];
-        return [plot.plot_uuid, index];
-    });
+}
+
+export function pick_closest(scene, xy, range) {
+    return closest_hit(pick_in_range(scene, xy, range));
+}
+
+export function pick_closest_async(scene, xy, range) {
+    return pick_in_range_async(scene, xy, range).then(closest_hit);
+}
+
+export function pick_sorted(scene, xy, range) {
+    return sorted_hits(pick_in_range(scene, xy, range));
+}
+
+export function pick_sorted_async(scene, xy, range) {
+    return pick_in_range_async(scene, xy, range).then(sorted_hits);
 }
 
 export function pick_native_uuid(scene, x, y, w, h) {
@@ -576,39 +1069,524 @@ export function pick_native_matrix(scene, x, y, w, h) {
     return matrix;
 }
 
-export function register_popup(popup, scene, plots_to_pick, callback) {
-    if (!scene || !scene.screen) {
-        // scene not innitialized or removed already
-        return;
+export function pick_native_matrix_async(scene, x, y, w, h) {
+    return pick_native_async(scene, x, y, w, h).then(([matrix, _]) => matrix);
+}
+
+function fill_popup(popup, result) {
+    if (typeof result === "string" || result instanceof String) {
+        popup.innerText = result;
+    } else {
+        popup.innerHTML = result;
+    }
+}
+
+// Places `popup` next to the mouse, on the side that keeps it inside the viewport
+function place_popup(popup, clientX, clientY) {
+    const offset = 10;
+    const { width, height } = popup.getBoundingClientRect();
+    let x = clientX + offset;
+    let y = clientY + offset;
+    if (x + width > window.innerWidth) {
+        x = clientX - offset - width;
+    }
+    if (y + height > window.innerHeight) {
+        y = clientY - offset - height;
+    }
+    // the popup is absolutely positioned in the page
+    popup.style.left = Math.max(0, x) + window.scrollX + "px";
+    popup.style.top = Math.max(0, y) + window.scrollY + "px";
+}
+
+// The `register_*` functions get called with scenes, that aren't initialized yet or were removed already
+function is_displayed(scene) {
+    return Boolean(scene && scene.screen);
+}
+
+/**
+ * Shows `popup` with the result of `callback(plot, index)`, when clicking on (`mode = "click"`)
+ * or hovering over (`mode = "hover"`) an element of `plots_to_pick`.
+ * The popup gets hidden when clicking somewhere else or pressing Escape.
+ * Every popup only reacts to its own plots, so one scene can have multiple popups.
+ * Returns a function, which hides the popup and removes all listeners.
+ */
+export function register_popup(
+    popup,
+    scene,
+    plots_to_pick,
+    callback,
+    mode = "click",
+    range = 10
+) {
+    if (!is_displayed(scene)) {
+        return () => {};
     }
     const { canvas } = scene.screen;
-    canvas.addEventListener("mousedown", (event) => {
-        if (!popup.classList.contains("show")) {
-            popup.classList.add("show");
-        }
-        popup.style.left = event.pageX + "px";
-        popup.style.top = event.pageY + "px";
-        const [x, y] = event2scene_pixel(scene, event);
-        const [_, picks] = pick_native(scene, x, y, 1, 1);
-        if (picks.length == 1) {
-            const [plot, index] = picks[0];
-            if (plots_to_pick.has(plot.plot_uuid)) {
-                const result = callback(plot, index);
-                if (typeof result === "string" || result instanceof String) {
-                    popup.innerText = result;
+    const cleanups = [];
+    function listen(target, name, listener) {
+        target.addEventListener(name, listener);
+        cleanups.push(() => target.removeEventListener(name, listener));
+    }
+    function hide() {
+        popup.classList.remove("show");
+    }
+    function show(plot, index, clientX, clientY) {
+        fill_popup(popup, callback(plot, index));
+        popup.classList.add("show");
+        place_popup(popup, clientX, clientY);
+    }
+
+    if (mode === "hover") {
+        let mouse = [0, 0];
+        listen(canvas, "pointermove", (event) => {
+            mouse = [event.clientX, event.clientY];
+        });
+        const remove_hover = register_hover(
+            scene,
+            plots_to_pick,
+            range,
+            50,
+            (plot_uuid, index) => {
+                const plot = plot_uuid && find_plots([plot_uuid])[0];
+                if (plot) {
+                    show(plot, index, ...mouse);
                 } else {
-                    popup.innerHTML = result;
+                    hide();
                 }
             }
-        } else {
-            popup.classList.remove("show");
+        );
+        cleanups.push(remove_hover);
+    } else {
+        listen(canvas, "pointerdown", (event) => {
+            const { clientX, clientY } = event;
+            const [x, y] = event2scene_pixel(scene, event);
+            pick_native_async(scene, x, y, 1, 1)
+                .then(([_, picks]) => {
+                    const pick = picks.find(([plot]) =>
+                        plots_to_pick.has(plot.plot_uuid)
+                    );
+                    if (pick) {
+                        show(pick[0], pick[1], clientX, clientY);
+                    } else {
+                        hide();
+                    }
+                })
+                .catch((e) => console.warn(e));
+        });
+    }
+    listen(document, "pointerdown", (event) => {
+        if (event.target !== canvas && !popup.contains(event.target)) {
+            hide();
         }
     });
-    canvas.addEventListener("keyup", (event) => {
+    listen(document, "keydown", (event) => {
         if (event.key === "Escape") {
-            popup.classList.remove("show");
+            hide();
         }
     });
+    return () => {
+        hide();
+        cleanups.forEach((cleanup) => cleanup());
+    };
+}
+
+/**
+ * Highlights the element `index` of `plot` (e.g. a marker, line segment or mesh vertex),
+ * by tinting it with `color` (`[r, g, b, a]`, with `a` being the strength of the tint).
+ * This only changes uniforms, so it doesn't need a round trip to Julia.
+ */
+export function set_highlight(plot, index, color = [1, 1, 0, 0.5]) {
+    const { uniforms } = plot.material;
+    if (!uniforms.highlight) {
+        return;
+    }
+    uniforms.highlight.value = true;
+    uniforms.highlight_index.value = index;
+    uniforms.highlight_color.value.set(...color);
+    // plots are added directly to their scene, see `add_plot`
+    if (plot.parent) {
+        request_render(plot.parent.screen);
+    }
+}
+
+export function clear_highlight(plot) {
+    const { uniforms } = plot.material;
+    if (!uniforms.highlight || !uniforms.highlight.value) {
+        return;
+    }
+    uniforms.highlight.value = false;
+    if (plot.parent) {
+        request_render(plot.parent.screen);
+    }
+}
+
+/**
+ * Tracks the plot element under the mouse in the browser, and only calls `callback(plot_uuid, index)`
+ * when the hovered element changes. Leaving an element (or the canvas) calls `callback(null, 0)`.
+ * Only plots in `plots_to_pick` get picked. With a `highlight_color`, the hovered element also
+ * gets highlighted, see `set_highlight`. Returns a function, which removes all listeners.
+ */
+export function register_hover(
+    scene,
+    plots_to_pick,
+    range,
+    delay,
+    callback,
+    highlight_color = undefined
+) {
+    if (!is_displayed(scene)) {
+        return () => {};
+    }
+    const { canvas } = scene.screen;
+    let hovered = [null, 0];
+    // the plot we highlight the hovered element of
+    let highlighted = undefined;
+    let inside = false;
+    // picks resolve asynchronously, so we only use the result of the most recent one
+    let last_pick = 0;
+
+    function set_hovered(plot_uuid, index) {
+        if (hovered[0] === plot_uuid && hovered[1] === index) {
+            return;
+        }
+        hovered = [plot_uuid, index];
+        if (highlight_color) {
+            if (highlighted) {
+                clear_highlight(highlighted);
+            }
+            highlighted = plot_uuid ? find_plots([plot_uuid])[0] : undefined;
+            if (highlighted) {
+                set_highlight(highlighted, index, highlight_color);
+            }
+        }
+        callback(plot_uuid, index);
+    }
+
+    function pick(xy) {
+        // a throttled pick may still fire after leaving the canvas
+        if (!inside) {
+            return;
+        }
+        const pick_id = ++last_pick;
+        pick_sorted_async(scene, xy, range)
+            .then((hits) => {
+                if (pick_id !== last_pick) {
+                    return;
+                }
+                const hit = (hits || []).find(([plot_uuid]) =>
+                    plots_to_pick.has(plot_uuid)
+                );
+                if (hit) {
+                    set_hovered(hit[0], hit[1]);
+                } else {
+                    set_hovered(null, 0);
+                }
+            })
+            .catch((e) => console.warn(e));
+    }
+    const pick_throttled = throttle_function(pick, delay);
+
+    function mousemove(event) {
+        inside = true;
+        pick_throttled(event2scene_pixel(scene, event));
+    }
+    function mouseleave() {
+        inside = false;
+        last_pick++;
+        set_hovered(null, 0);
+    }
+    canvas.addEventListener("pointermove", mousemove);
+    canvas.addEventListener("pointerleave", mouseleave);
+    return () => {
+        inside = false;
+        if (highlighted) {
+            clear_highlight(highlighted);
+        }
+        canvas.removeEventListener("pointermove", mousemove);
+        canvas.removeEventListener("pointerleave", mouseleave);
+    };
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function create_selection_overlay() {
+    const svg = document.createElementNS(SVG_NS, "svg");
+    Object.assign(svg.style, {
+        position: "fixed",
+        left: "0px",
+        top: "0px",
+        width: "100vw",
+        height: "100vh",
+        pointerEvents: "none",
+        zIndex: 1000,
+    });
+    const polygon = document.createElementNS(SVG_NS, "polygon");
+    polygon.setAttribute("fill", "rgba(0, 0, 255, 0.1)");
+    polygon.setAttribute("stroke", "rgba(0, 0, 255, 0.6)");
+    polygon.setAttribute("stroke-dasharray", "4 2");
+    svg.appendChild(polygon);
+    document.body.appendChild(svg);
+    return [svg, polygon];
+}
+
+/**
+ * Lets the user select plot elements with a rectangle (shift + drag) or a lasso (alt + drag),
+ * which gets drawn as an SVG overlay over the canvas. Once the mouse gets released, all elements
+ * of `plots_to_pick` in the selected area get picked, and `callback` gets called once with the list
+ * of `[plot_uuid, index]`. Like all picking, this only finds elements that are visible on screen.
+ * Returns a function, which removes all listeners.
+ */
+export function register_selection(scene, plots_to_pick, callback) {
+    if (!is_displayed(scene)) {
+        return () => {};
+    }
+    const { canvas } = scene.screen;
+    // the selection in client coordinates, while dragging
+    let mode = undefined;
+    let path = [];
+    let overlay = undefined;
+    // the pointer doing the selection, which we capture, so that we also get its release outside of the canvas
+    let pointer_id = undefined;
+
+    function selection_polygon() {
+        if (mode === "rectangle") {
+            const [x0, y0] = path[0];
+            const [x1, y1] = path[path.length - 1];
+            return [
+                [x0, y0],
+                [x1, y0],
+                [x1, y1],
+                [x0, y1],
+            ];
+        }
+        return path;
+    }
+
+    function resolve_selection(polygon, lasso) {
+        // polygon in scene pixels, like `pick_native` expects them
+        const pixels = polygon.map(([clientX, clientY]) =>
+            event2scene_pixel(scene, { clientX, clientY })
+        );
+        const xs = pixels.map((p) => p[0]);
+        const ys = pixels.map((p) => p[1]);
+        const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+        const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+        const [width, height] = scene.screen.size;
+        const x1 = Math.min(width, Math.ceil(Math.max(...xs)));
+        const y1 = Math.min(height, Math.ceil(Math.max(...ys)));
+        const w = x1 - x0;
+        const h = y1 - y0;
+        if (w < 1 || h < 1) {
+            return Promise.resolve([]);
+        }
+        return pick_native_async(scene, x0, y0, w, h).then(([plot_data, _]) => {
+            const selected = new Map();
+            // pixels are ordered row by row, starting at the bottom left (like `readPixels`)
+            plot_data.data.forEach(([plot_uuid, index], i) => {
+                if (!plot_uuid || !plots_to_pick.has(plot_uuid)) {
+                    return;
+                }
+                const px = x0 + (i % w) + 0.5;
+                const py = y0 + Math.floor(i / w) + 0.5;
+                if (lasso && !inside_polygon(pixels, px, py)) {
+                    return;
+                }
+                selected.set(`${plot_uuid},${index}`, [plot_uuid, index]);
+            });
+            return [...selected.values()];
+        });
+    }
+
+    // We listen in the capture phase on window, so that the drag doesn't also reach the listeners
+    // of `threejs_module` (which would e.g. start a rectangle zoom in Julia) or the 3D camera
+    function mousedown(event) {
+        if (event.target !== canvas || event.button !== 0) {
+            return;
+        }
+        if (event.shiftKey) {
+            mode = "rectangle";
+        } else if (event.altKey) {
+            mode = "lasso";
+        } else {
+            return;
+        }
+        event.stopPropagation();
+        event.preventDefault();
+        pointer_id = event.pointerId;
+        try {
+            canvas.setPointerCapture(pointer_id);
+        } catch (e) {
+            // only active pointers can get captured, which e.g. synthetic events don't have
+        }
+        path = [[event.clientX, event.clientY]];
+        overlay = create_selection_overlay();
+    }
+
+    function end_selection() {
+        if (canvas.hasPointerCapture(pointer_id)) {
+            canvas.releasePointerCapture(pointer_id);
+        }
+        mode = undefined;
+        pointer_id = undefined;
+        overlay[0].remove();
+        overlay = undefined;
+    }
+
+    function mousemove(event) {
+        if (!mode || event.pointerId !== pointer_id) {
+            return;
+        }
+        event.stopPropagation();
+        path.push([event.clientX, event.clientY]);
+        const points = selection_polygon().map((p) => p.join(",")).join(" ");
+        overlay[1].setAttribute("points", points);
+    }
+
+    function mouseup(event) {
+        if (!mode || event.pointerId !== pointer_id) {
+            return;
+        }
+        event.stopPropagation();
+        path.push([event.clientX, event.clientY]);
+        const polygon = selection_polygon();
+        const lasso = mode === "lasso";
+        end_selection();
+        resolve_selection(polygon, lasso)
+            .then(callback)
+            .catch((e) => console.warn(e));
+    }
+
+    // e.g. a touch, which the browser takes over for scrolling, cancels the selection
+    function mousecancel(event) {
+        if (!mode || event.pointerId !== pointer_id) {
+            return;
+        }
+        event.stopPropagation();
+        end_selection();
+    }
+
+    window.addEventListener("pointerdown", mousedown, true);
+    window.addEventListener("pointermove", mousemove, true);
+    window.addEventListener("pointerup", mouseup, true);
+    window.addEventListener("pointercancel", mousecancel, true);
+    return () => {
+        if (mode) {
+            end_selection();
+        }
+        window.removeEventListener("pointerdown", mousedown, true);
+        window.removeEventListener("pointermove", mousemove, true);
+        window.removeEventListener("pointerup", mouseup, true);
+        window.removeEventListener("pointercancel", mousecancel, true);
+    };
+}
+
+function create_overlay_element(style) {
+    const element = document.createElement("div");
+    Object.assign(element.style, {
+        position: "fixed",
+        pointerEvents: "none",
+        zIndex: 1000,
+        display: "none",
+        ...style,
+    });
+    document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Draws a crosshair over `scene` and shows the data coordinates under the mouse next to it,
+ * with `precision` significant digits. This only uses the camera and `pixelarea` of the scene,
+ * so it also works in static exports without a running Julia session.
+ * Note, that transform functions (e.g. log scales) don't get inverted.
+ * Returns a function, which removes the overlay and all listeners.
+ */
+export function register_crosshair(scene, precision = 4) {
+    if (!is_displayed(scene)) {
+        return () => {};
+    }
+    const { canvas } = scene.screen;
+    const line = "1px dashed rgba(0, 0, 0, 0.6)";
+    const vline = create_overlay_element({ width: "0px", borderLeft: line });
+    const hline = create_overlay_element({ height: "0px", borderTop: line });
+    const label = create_overlay_element({
+        background: "rgba(255, 255, 255, 0.8)",
+        font: "12px monospace",
+        padding: "2px 4px",
+    });
+    label.classList.add("crosshair-label");
+    const elements = [vline, hline, label];
+
+    function hide() {
+        elements.forEach((element) => {
+            element.style.display = "none";
+        });
+    }
+
+    function mousemove(event) {
+        const [x, y] = event2scene_pixel(scene, event);
+        const [sx, sy, sw, sh] = scene.pixelarea.value;
+        if (!(x >= sx && x < sx + sw && y >= sy && y < sy + sh)) {
+            hide();
+            return;
+        }
+        // the area of the scene in client coordinates, with y going down
+        const pixelRatio = scene.screen.pixel_ratio;
+        const rect = canvas.getBoundingClientRect();
+        const left = rect.left + sx / pixelRatio;
+        const top = rect.bottom - (sy + sh) / pixelRatio;
+        const { clientX, clientY } = event;
+        Object.assign(vline.style, {
+            display: "block",
+            left: `${clientX}px`,
+            top: `${top}px`,
+            height: `${sh / pixelRatio}px`,
+        });
+        Object.assign(hline.style, {
+            display: "block",
+            left: `${left}px`,
+            top: `${clientY}px`,
+            width: `${sw / pixelRatio}px`,
+        });
+        const position = to_world(scene, x, y);
+        label.innerText = `(${position.x.toPrecision(
+            precision
+        )}, ${position.y.toPrecision(precision)})`;
+        Object.assign(label.style, {
+            display: "block",
+            left: `${clientX + 8}px`,
+            top: `${clientY + 8}px`,
+        });
+    }
+    canvas.addEventListener("pointermove", mousemove);
+    canvas.addEventListener("pointerleave", hide);
+    return () => {
+        canvas.removeEventListener("pointermove", mousemove);
+        canvas.removeEventListener("pointerleave", hide);
+        elements.forEach((element) => element.remove());
+    };
+}
+
+export function register_pan_zoom(scene, callback, zoomspeed = 0.1) {
+    if (!is_displayed(scene)) {
+        return () => {};
+    }
+    return attach_2d_camera(scene, callback, zoomspeed);
+}
+
+// The cleanup functions returned by the `register_*` functions, by the id of their widget in Julia.
+// Julia calls `run_widget_cleanup` once the session of the widget closes.
+const WIDGET_CLEANUPS = new Map();
+
+function add_widget_cleanup(id, cleanup) {
+    WIDGET_CLEANUPS.set(id, cleanup);
+}
+
+function run_widget_cleanup(id) {
+    const cleanup = WIDGET_CLEANUPS.get(id);
+    if (cleanup) {
+        WIDGET_CLEANUPS.delete(id);
+        cleanup();
+    }
 }
 
 window.WGL = {
@@ -627,7 +1605,17 @@ window.WGL = {
     event2scene_pixel,
     on_next_insert,
     register_popup,
+    register_hover,
+    register_selection,
+    register_crosshair,
+    register_pan_zoom,
+    add_widget_cleanup,
+    run_widget_cleanup,
+    set_highlight,
+    clear_highlight,
     render_scene,
+    render_frame,
+    request_render,
 };
 
 export {
@@ -645,4 +1633,5 @@ export {
     create_scene,
     event2scene_pixel,
     on_next_insert,
+    request_render,
 };
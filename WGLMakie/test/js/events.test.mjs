@@ -0,0 +1,115 @@
+// Run with `node --test WGLMakie/test/js/*.test.mjs`
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    wheel_delta_pixels,
+    event_modifiers,
+    create_event_queue,
+} from "../../src/Events.mjs";
+
+// Animation frames only run when we call `next_frame(time)`
+let frames = [];
+function next_frame(time) {
+    const callbacks = frames;
+    frames = [];
+    callbacks.forEach((callback) => callback(time));
+}
+
+beforeEach(() => {
+    frames = [];
+    globalThis.window = {
+        innerHeight: 500,
+        requestAnimationFrame: (callback) => frames.push(callback),
+    };
+    globalThis.document = { hidden: false };
+});
+
+function fake_comm() {
+    const messages = [];
+    return { messages, notify: (message) => messages.push(message) };
+}
+
+const strip_timestamps = (message) =>
+    message.events.map(({ timestamp, ...event }) => event);
+
+test("wheel_delta_pixels converts lines and pages to pixels", () => {
+    assert.deepEqual(wheel_delta_pixels({ deltaX: 1, deltaY: 2, deltaMode: 0 }), [1, 2]);
+    assert.deepEqual(wheel_delta_pixels({ deltaX: 1, deltaY: 2, deltaMode: 1 }), [16, 32]);
+    assert.deepEqual(wheel_delta_pixels({ deltaX: 0, deltaY: 1, deltaMode: 2 }), [0, 500]);
+});
+
+test("event_modifiers", () => {
+    const event = { shiftKey: true, ctrlKey: false, altKey: true, metaKey: false };
+    assert.deepEqual(event_modifiers(event), { shift: true, ctrl: false, alt: true, meta: false });
+});
+
+test("events get sent in order, once per frame", () => {
+    const comm = fake_comm();
+    const send_event = create_event_queue(comm, 30);
+    send_event({ mouseposition: [1, 2] });
+    send_event({ mousedown: { button: 0 } });
+    send_event({ mouseup: { button: 0 } });
+    assert.equal(comm.messages.length, 0);
+    assert.equal(frames.length, 1);
+    next_frame(1000);
+    assert.equal(comm.messages.length, 1);
+    assert.deepEqual(strip_timestamps(comm.messages[0]), [
+        { mouseposition: [1, 2] },
+        { mousedown: { button: 0 } },
+        { mouseup: { button: 0 } },
+    ]);
+    const timestamps = comm.messages[0].events.map((event) => event.timestamp);
+    assert.ok(timestamps.every((t, i) => i == 0 || t >= timestamps[i - 1]));
+});
+
+test("consecutive mouse moves get merged", () => {
+    const comm = fake_comm();
+    const send_event = create_event_queue(comm, 30);
+    send_event({ mouseposition: [1, 1] });
+    send_event({ mouseposition: [2, 2] });
+    send_event({ mousedown: { button: 0 } });
+    send_event({ mouseposition: [3, 3] });
+    send_event({ mouseposition: [4, 4] });
+    next_frame(1000);
+    assert.deepEqual(strip_timestamps(comm.messages[0]), [
+        { mouseposition: [2, 2] },
+        { mousedown: { button: 0 } },
+        { mouseposition: [4, 4] },
+    ]);
+});
+
+test("at most event_rate messages per second", () => {
+    const comm = fake_comm();
+    const send_event = create_event_queue(comm, 10);
+    send_event({ mouseposition: [1, 1] });
+    next_frame(1000);
+    send_event({ mouseposition: [2, 2] });
+    // too early, waits for the next frame
+    next_frame(1050);
+    assert.equal(comm.messages.length, 1);
+    next_frame(1100);
+    assert.equal(comm.messages.length, 2);
+    assert.deepEqual(strip_timestamps(comm.messages[1]), [{ mouseposition: [2, 2] }]);
+});
+
+test("events get sent right away in hidden tabs", () => {
+    const comm = fake_comm();
+    const send_event = create_event_queue(comm, 30);
+    send_event({ mouseposition: [1, 1] });
+    assert.equal(comm.messages.length, 0);
+    // the tab gets hidden, while a frame is requested already
+    document.hidden = true;
+    send_event({ hasfocus: false });
+    assert.equal(comm.messages.length, 1);
+    assert.deepEqual(strip_timestamps(comm.messages[0]), [
+        { mouseposition: [1, 1] },
+        { hasfocus: false },
+    ]);
+    // the requested frame runs once the tab is visible again, without sending an empty message
+    document.hidden = false;
+    next_frame(1000);
+    assert.equal(comm.messages.length, 1);
+    send_event({ hasfocus: true });
+    next_frame(1100);
+    assert.equal(comm.messages.length, 2);
+});
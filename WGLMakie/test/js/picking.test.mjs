@@ -0,0 +1,148 @@
+// Run with `node --test WGLMakie/test/js/*.test.mjs`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    unpack_ids,
+    read_ids_async,
+    picking_result,
+    range_region,
+    hits_in_range,
+    closest_hit,
+    sorted_hits,
+    inside_polygon,
+} from "../../src/Picking.mjs";
+
+// `[id, index, depth, 0]` per pixel, like the shaders write them
+function pack_ids(pixels) {
+    const ids = new Uint32Array(pixels.length * 4);
+    const depths = new Float32Array(ids.buffer);
+    pixels.forEach(([id, index, depth], i) => {
+        ids[i * 4] = id;
+        ids[i * 4 + 1] = index;
+        depths[i * 4 + 2] = depth;
+    });
+    return ids;
+}
+
+// A WebGL2 context, which finishes the readback after `polls` calls to `clientWaitSync`
+function fake_renderer(pixels, { polls = 2, lost = false, framebuffer = {} } = {}) {
+    const calls = [];
+    let waits = 0;
+    const gl = {
+        PIXEL_PACK_BUFFER: "PIXEL_PACK_BUFFER",
+        TIMEOUT_EXPIRED: "TIMEOUT_EXPIRED",
+        CONDITION_SATISFIED: "CONDITION_SATISFIED",
+        WAIT_FAILED: "WAIT_FAILED",
+        createBuffer: () => "buffer",
+        bindBuffer: () => {},
+        bufferData: () => {},
+        bindFramebuffer: () => {},
+        readBuffer: () => {},
+        readPixels: (...args) => calls.push(["readPixels", ...args.slice(0, 4)]),
+        fenceSync: () => "sync",
+        flush: () => {},
+        isContextLost: () => lost,
+        clientWaitSync: () => {
+            waits += 1;
+            return waits < polls ? gl.TIMEOUT_EXPIRED : gl.CONDITION_SATISFIED;
+        },
+        getBufferSubData: (target, offset, data) => data.set(pack_ids(pixels)),
+        deleteSync: () => calls.push(["deleteSync"]),
+        deleteBuffer: () => calls.push(["deleteBuffer"]),
+    };
+    const renderer = {
+        getContext: () => gl,
+        properties: { get: () => ({ __webglFramebuffer: framebuffer }) },
+    };
+    return { renderer, calls };
+}
+
+test("unpack_ids keeps 32bit ids and indices and reinterprets the depth bits", () => {
+    const ids = pack_ids([
+        [1, 70000, 0.25],
+        [2 ** 32 - 1, 0, 1.0],
+    ]);
+    assert.deepEqual(unpack_ids(ids, 2), [
+        [1, 70000, 0.25],
+        [2 ** 32 - 1, 0, 1.0],
+    ]);
+});
+
+test("read_ids_async polls the fence until the GPU is done", async () => {
+    const { renderer, calls } = fake_renderer([[3, 4, 0.5]], { polls: 3 });
+    const ids = await read_ids_async(renderer, {}, 10, 20, 1, 1);
+    assert.deepEqual(ids, [[3, 4, 0.5]]);
+    assert.deepEqual(calls, [["readPixels", 10, 20, 1, 1], ["deleteSync"], ["deleteBuffer"]]);
+});
+
+test("read_ids_async returns empty ids without a framebuffer", async () => {
+    const { renderer, calls } = fake_renderer([], { framebuffer: null });
+    assert.deepEqual(await read_ids_async(renderer, {}, 0, 0, 2, 1), [
+        [0, 0, 0],
+        [0, 0, 0],
+    ]);
+    assert.deepEqual(calls, []);
+});
+
+test("read_ids_async rejects when the context gets lost", async () => {
+    const { renderer } = fake_renderer([[1, 1, 0]], { lost: true });
+    await assert.rejects(read_ids_async(renderer, {}, 0, 0, 1, 1), /context lost/);
+});
+
+test("picking_result maps ids to plots", () => {
+    const plot = { plot_uuid: "a" };
+    const id_to_plot = new Map([[1, plot]]);
+    const [matrix, plots] = picking_result([[1, 5], [0, 0]], id_to_plot, 2, 1);
+    assert.deepEqual(matrix, { data: [["a", 5], [null, 0]], size: [2, 1] });
+    assert.deepEqual(plots, [[plot, 5]]);
+});
+
+test("range_region gets clamped to the figure", () => {
+    const scene = { screen: { size: [100, 50] } };
+    assert.deepEqual(range_region(scene, [50, 25], 10), [40, 15, 20, 20]);
+    assert.deepEqual(range_region(scene, [2, 48], 10), [0, 38, 12, 12]);
+    assert.equal(range_region(scene, [100, 25], 10), undefined);
+});
+
+test("hits_in_range uses the euclidean distance over the whole region", () => {
+    // 3x3 region starting at [10, 20], rows starting at the bottom
+    const data = [
+        ["a", 0], [null, 0], ["a", 2],
+        [null, 0], [null, 0], [null, 0],
+        [null, 0], ["b", 7], [null, 0],
+    ];
+    const hits = hits_in_range({ data, size: [3, 3] }, [10, 20, 3, 3], [11, 21], 2);
+    assert.deepEqual(hits, [
+        ["a", 0, Math.SQRT2, [10, 20]],
+        ["a", 2, Math.SQRT2, [12, 20]],
+        ["b", 7, 1, [11, 22]],
+    ]);
+    // outside of the range
+    assert.deepEqual(hits_in_range({ data, size: [3, 3] }, [10, 20, 3, 3], [11, 21], 1), []);
+});
+
+test("closest_hit and sorted_hits", () => {
+    const hits = [
+        ["a", 0, 3, [0, 0]],
+        ["b", 1, 1, [1, 0]],
+        ["a", 0, 2, [2, 0]],
+    ];
+    assert.deepEqual(closest_hit(hits), ["b", 1, 1, [1, 0]]);
+    assert.deepEqual(closest_hit([]), [null, 0]);
+    // one hit per element, the closest one
+    assert.deepEqual(sorted_hits(hits), [
+        ["b", 1, 1, [1, 0]],
+        ["a", 0, 2, [2, 0]],
+    ]);
+    assert.equal(sorted_hits([]), null);
+});
+
+test("inside_polygon", () => {
+    const square = [[0, 0], [10, 0], [10, 10], [0, 10]];
+    assert.ok(inside_polygon(square, 5, 5));
+    assert.ok(!inside_polygon(square, 15, 5));
+    // concave
+    const u_shape = [[0, 0], [9, 0], [9, 9], [6, 9], [6, 3], [3, 3], [3, 9], [0, 9]];
+    assert.ok(inside_polygon(u_shape, 1, 5));
+    assert.ok(!inside_polygon(u_shape, 4.5, 5));
+});
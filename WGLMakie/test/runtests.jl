@@ -65,6 +65,264 @@ Makie.inline!(Makie.automatic)
 
 end
 
+@testset "picking" begin
+    WGLMakie.activate!()
+    f, ax, pl = scatter(Point2f[(1, 1), (2, 2), (3, 3)]; markersize=10)
+    limits!(ax, 0, 4, 0, 4)
+    screen = display(f)
+    scene = ax.scene
+    to_pixel(p) = Makie.shift_project(scene, Point2f(p))
+    @testset "pick_closest" begin
+        @test Makie.pick_closest(scene, screen, to_pixel((2, 2)), 10) == (pl, 2)
+        # picks the closest element, not the last one found in the picked area
+        @test Makie.pick_closest(scene, screen, to_pixel((2.1, 2.1)), 200) == (pl, 2)
+        @test Makie.pick_closest(scene, screen, to_pixel((2.9, 2.9)), 200) == (pl, 3)
+        # nothing in range
+        @test Makie.pick_closest(scene, screen, to_pixel((1, 3)), 5) == (nothing, 0)
+    end
+    @testset "pick_sorted" begin
+        picks = Makie.pick_sorted(scene, screen, to_pixel((2.2, 2.2)), 300)
+        @test [idx for (p, idx) in picks if p === pl] == [2, 3, 1]
+        picks = Makie.pick_sorted(scene, screen, to_pixel((1.1, 1.1)), 300)
+        @test [idx for (p, idx) in picks if p === pl] == [1, 2, 3]
+        @test isempty(Makie.pick_sorted(scene, screen, to_pixel((1, 3)), 5))
+    end
+    @testset "Selection" begin
+        selection = WGLMakie.Selection(f; plots=pl)
+        session = WGLMakie.get_three(screen).session
+        JSServe.jsrender(session, selection)
+        # shift + drag a rectangle around the first two points
+        start = Float64[to_pixel((0.5, 0.5))...]
+        stop = Float64[to_pixel((2.5, 2.5))...]
+        JSServe.evaljs_value(session, js"""
+            $(scene).then(scene => {
+                const {canvas, pixel_ratio} = scene.screen;
+                const rect = canvas.getBoundingClientRect();
+                const drag = (type, [x, y]) => canvas.dispatchEvent(new PointerEvent(type, {
+                    clientX: rect.left + x / pixel_ratio,
+                    clientY: rect.bottom - y / pixel_ratio,
+                    button: 0,
+                    shiftKey: true,
+                    bubbles: true,
+                }));
+                drag("pointerdown", $(start));
+                drag("pointermove", $(stop));
+                drag("pointerup", $(stop));
+            })
+        """)
+        # the selection gets picked asynchronously
+        timedwait(() -> !isempty(selection.selected[]), 5.0)
+        @test sort(selection.selected[]; by=last) == [(pl, 1), (pl, 2)]
+    end
+    @testset "indices > 65535" begin
+        N = 100000
+        f, ax, pl = scatter(1:N, 1:N)
+        limits!(ax, 99990, 100000, 99990, 100000)
+        screen = display(f)
+        point_px = round.(Int, Makie.shift_project(ax.scene, Point2f(N - 1, N - 1)))
+        @test pick(ax.scene, point_px) == (pl, N - 1)
+        matrix = WGLMakie.pick_native(screen, Rect2i(point_px..., 1, 1))
+        @test matrix[1, 1] == (pl, N - 1)
+    end
+end
+
+@testset "Crosshair" begin
+    f, ax, pl = scatter(1:4)
+    limits!(ax, 0, 4, 0, 4)
+    screen = display(f)
+    session = WGLMakie.get_three(screen).session
+    JSServe.jsrender(session, WGLMakie.Crosshair(ax; precision=3))
+    pixel = Float64[Makie.shift_project(ax.scene, Point2f(1, 2))...]
+    label = JSServe.evaljs_value(session, js"""
+        $(ax.scene).then(scene => {
+            const {canvas, pixel_ratio} = scene.screen;
+            const rect = canvas.getBoundingClientRect();
+            const [x, y] = $(pixel);
+            canvas.dispatchEvent(new PointerEvent("pointermove", {
+                clientX: rect.left + x / pixel_ratio,
+                clientY: rect.bottom - y / pixel_ratio,
+                bubbles: true,
+            }));
+            return document.querySelector(".crosshair-label").innerText;
+        })
+    """)
+    @test label == "(1.00, 2.00)"
+end
+
+@testset "PanZoom" begin
+    f, ax, pl = scatter(1:4)
+    limits!(ax, 0, 4, 0, 4)
+    screen = display(f)
+    session = WGLMakie.get_three(screen).session
+    JSServe.jsrender(session, WGLMakie.PanZoom(ax; zoomspeed=0.1))
+    initial_limits = ax.targetlimits[]
+    # scroll up in the center of the axis, which zooms in by 10%
+    center = Float64[Makie.shift_project(ax.scene, Point2f(2, 2))...]
+    JSServe.evaljs_value(session, js"""
+        $(ax.scene).then(scene => {
+            const {canvas, pixel_ratio} = scene.screen;
+            const rect = canvas.getBoundingClientRect();
+            const [x, y] = $(center);
+            canvas.dispatchEvent(new WheelEvent("wheel", {
+                clientX: rect.left + x / pixel_ratio,
+                clientY: rect.bottom - y / pixel_ratio,
+                deltaY: -100,
+                bubbles: true,
+                cancelable: true,
+            }));
+        })
+    """)
+    # the limits get sent to Julia, once the user stops interacting
+    timedwait(() -> ax.targetlimits[] != initial_limits, 5.0)
+    limits = ax.targetlimits[]
+    @test isapprox(origin(limits), Vec2f(0.2, 0.2); atol=1e-2)
+    @test isapprox(widths(limits), Vec2f(3.6, 3.6); atol=1e-2)
+end
+
+@testset "events" begin
+    scene = Scene()
+    comm = Observable(Dict{String, Any}())
+    WGLMakie.connect_scene_events!(scene, comm)
+    e = events(scene)
+    function send(msg, modifiers...)
+        comm[] = Dict{String, Any}(msg, "modifiers" => Dict{String, Any}(modifiers...))
+        sleep(0.1) # events get handled asynchronously
+    end
+    send("mousedown" => Dict("button" => 2))
+    @test e.mousebuttonstate == Set([Mouse.right])
+    send("mousedown" => Dict("button" => 0))
+    send("mouseup" => Dict("button" => 2))
+    @test e.mousebuttonstate == Set([Mouse.left])
+    send("mouseup" => Dict("button" => -1))
+    @test isempty(e.mousebuttonstate)
+    # wheel deltas come in pixels
+    send("scroll" => [0, 250], "shift" => true)
+    @test e.scroll[] == (0.0, 2.5)
+    @test e.keyboardstate == Set([Keyboard.left_shift])
+    send("keydown" => Dict("key" => "a", "code" => "KeyA", "repeat" => false))
+    @test e.keyboardbutton[] == KeyEvent(Keyboard.a, Keyboard.press)
+    @test e.unicode_input[] == 'a'
+    send("keydown" => Dict("key" => "a", "code" => "KeyA", "repeat" => true))
+    @test e.keyboardbutton[] == KeyEvent(Keyboard.a, Keyboard.repeat)
+    send("keyup" => Dict("key" => "a", "code" => "KeyA", "repeat" => false))
+    # shift got released outside of the canvas
+    send("mouseposition" => [10, 10])
+    @test isempty(e.keyboardstate)
+    send("entered_window" => true)
+    @test e.entered_window[]
+    send("entered_window" => false)
+    @test !e.entered_window[]
+    send("hasfocus" => true)
+    @test e.hasfocus[]
+    send("keydown" => Dict("key" => "b", "code" => "KeyB", "repeat" => false))
+    # keys get released, when losing the focus
+    send("hasfocus" => false)
+    @test !e.hasfocus[]
+    @test isempty(e.keyboardstate)
+    # batched events get handled in order
+    clicks = MouseButtonEvent[]
+    on(event -> push!(clicks, event), e.mousebutton)
+    comm[] = Dict{String, Any}("events" => [
+        Dict{String, Any}("mouseposition" => [20, 30], "timestamp" => 1.0),
+        Dict{String, Any}("mousedown" => Dict("button" => 0), "timestamp" => 2.0),
+        Dict{String, Any}("mouseup" => Dict("button" => 0), "timestamp" => 3.0),
+    ])
+    sleep(0.1)
+    @test e.mouseposition[] == (20.0, size(scene)[2] - 30.0)
+    @test clicks == [MouseButtonEvent(Mouse.left, Mouse.press), MouseButtonEvent(Mouse.left, Mouse.release)]
+    # The browser allows more time between the two clicks of a double click than Makie
+    mouseevents = Makie.addmouseevents!(scene)
+    double_clicks = Ref(0)
+    on(mouseevents.obs) do event
+        if event.type == Makie.MouseEventTypes.leftdoubleclick
+            double_clicks[] += 1
+        end
+        return
+    end
+    send("mouseposition" => [20, 30])
+    click = [
+        Dict{String, Any}("mousedown" => Dict("button" => 0)),
+        Dict{String, Any}("mouseup" => Dict("button" => 0)),
+    ]
+    dblclick = Dict{String, Any}("dblclick" => Dict("position" => [20, 30], "button" => 0))
+    comm[] = Dict{String, Any}("events" => click)
+    sleep(0.3)
+    comm[] = Dict{String, Any}("events" => [click; dblclick])
+    sleep(0.1)
+    @test double_clicks[] == 1
+    # a fast double click gets detected by Makie itself, and doesn't get emitted twice
+    sleep(0.3)
+    comm[] = Dict{String, Any}("events" => [click; click; dblclick])
+    sleep(0.1)
+    @test double_clicks[] == 2
+end
+
+@testset "3D camera" begin
+    for key in (Keyboard.w, Keyboard._1, Keyboard.up, Keyboard.page_up, Keyboard.left_shift,
+                Keyboard.grave_accent, Keyboard._end, Keyboard.home, Keyboard.f1, Keyboard.space)
+        @test WGLMakie.code_to_keyboard(WGLMakie.keyboard_to_code(key)) == key
+    end
+    scene = Scene()
+    cam = cam3d!(scene; mouse_rotationspeed=2f0, rotation_center=:eyeposition, up_key=Keyboard.r & Keyboard.left_shift)
+    settings = WGLMakie.serialize_camera_settings(cam)
+    @test settings[:mouse_rotationspeed] == 2f0
+    @test settings[:zoom_shift_lookat] == true
+    @test settings[:rotation_center] == "eyeposition"
+    @test settings[:rotation_button] == 0
+    @test settings[:translation_button] == 2
+    @test settings[:keys][:forward_key] == "KeyW"
+    @test settings[:keys][:stretch_view_key] == "PageUp"
+    # combinations of keys aren't supported in JS
+    @test isnothing(settings[:keys][:up_key])
+    @test isnothing(settings[:keys][:scroll_mod])
+
+    session = Session(JSServe.NoConnection(); asset_server=JSServe.NoServer())
+    view, browser_view, settings = WGLMakie.connect_camera_view!(session, scene, cam)
+    # serializing the scene again in the same session doesn't connect the camera again
+    @test WGLMakie.connect_camera_view!(session, scene, cam) === (view, browser_view, settings)
+    initial_view = view[]
+    # the JS camera got moved
+    browser_view[] = [[1.0, 2.0, 3.0], [0.0, 0.0, 1.0], [0.0, 0.0, 1.0], 2.0]
+    @test cam.eyeposition[] == Vec3f(1, 2, 3)
+    @test cam.lookat[] == Vec3f(0, 0, 1)
+    @test cam.zoom_mult[] == 2f0
+    @test scene.camera.eyeposition[] == Vec3f(1, 2, 3)
+    # which doesn't get sent back to JS
+    @test view[] == initial_view
+    # but moving the camera in Julia does
+    update_cam!(scene, cam, Vec3f(4, 5, 6), Vec3f(0))
+    @test view[][1] == Float32[4, 5, 6]
+    @test view[][2] == Float32[0, 0, 0]
+    # as well as the clipping planes and the field of view
+    cam.near[] = 0.5f0
+    cam.far[] = 50f0
+    cam.attributes.fov[] = 30f0
+    @test view[][5:7] == [0.5f0, 50f0, 30f0]
+    # changing the controls in Julia updates the settings in JS
+    cam.attributes.mouse_zoomspeed[] = 3f0
+    cam.attributes.reset[] = Keyboard.backspace
+    @test settings[][:mouse_zoomspeed] == 3f0
+    @test settings[][:keys][:reset] == "Backspace"
+    # until the session closes
+    close(session)
+    update_cam!(scene, cam, Vec3f(7, 8, 9), Vec3f(0))
+    @test view[][1] == Float32[4, 5, 6]
+    @test !haskey(WGLMakie.CAMERA_VIEWS, (session.id, WGLMakie.js_uuid(scene)))
+end
+
+@testset "javascript" begin
+    # unit tests for the parts of the JS code, which don't need a browser
+    node = Sys.which("node")
+    if isnothing(node) || VersionNumber(readchomp(`$node --version`)) < v"18"
+        @warn "node 18 or newer not found, skipping the javascript tests"
+    else
+        # pass the files one by one, newer versions of node don't take a directory
+        jsdir = joinpath(@__DIR__, "js")
+        js_tests = [joinpath(jsdir, file) for file in readdir(jsdir) if endswith(file, ".test.mjs")]
+        @test success(`$node --test $js_tests`)
+    end
+end
+
 @testset "memory leaks" begin
     GC.gc(true)
     @test Base.summarysize(WGLMakie.TEXTURE_ATLAS) / 10^6 < 9
@@ -110,7 +110,11 @@ const MAKIE_DEFAULT_THEME = Attributes(
 
     WGLMakie = Attributes(
         framerate = 30.0,
-        resize_to_body = false
+        resize_to_body = false,
+        render_on_demand = true,
+        shared_context = false,
+        single_pass_picking = false,
+        event_rate = 30.0
     ),
 
     RPRMakie = Attributes(